@@ -3,13 +3,47 @@
  */
 
 // Local.
+var AbortError = require('./lib/abortError');
+var helpers = require('./lib/helpers');
+var JsonFileStateStore = require('./lib/store/jsonFileStateStore');
+var RateLimiter = require('./lib/rateLimiter');
+var RetryPolicy = require('./lib/retryPolicy');
 var S3ListObjectStream = require('./lib/stream/s3ListObjectStream');
 var S3ConcurrentListObjectStream = require('./lib/stream/s3ConcurrentListObjectStream');
+var S3ListObjectVersionStream = require('./lib/stream/s3ListObjectVersionStream');
+var S3ConcurrentListObjectVersionStream = require('./lib/stream/s3ConcurrentListObjectVersionStream');
+var S3ListMultipartUploadStream = require('./lib/stream/s3ListMultipartUploadStream');
+var S3HeadObjectStream = require('./lib/stream/s3HeadObjectStream');
+var S3ObjectTaggingStream = require('./lib/stream/s3ObjectTaggingStream');
+var S3AclAuditStream = require('./lib/stream/s3AclAuditStream');
+var S3DeleteObjectStream = require('./lib/stream/s3DeleteObjectStream');
+var S3CopyObjectStream = require('./lib/stream/s3CopyObjectStream');
+var S3StorageClassTransitionStream = require('./lib/stream/s3StorageClassTransitionStream');
+var S3RestoreObjectStream = require('./lib/stream/s3RestoreObjectStream');
 var S3UsageStream = require('./lib/stream/s3UsageStream');
 var S3InventoryUsageStream = require('./lib/stream/s3InventoryUsageStream');
 
 // Expose the constructors.
 exports.S3ListObjectStream = S3ListObjectStream;
 exports.S3ConcurrentListObjectStream = S3ConcurrentListObjectStream;
+exports.S3ListObjectVersionStream = S3ListObjectVersionStream;
+exports.S3ConcurrentListObjectVersionStream = S3ConcurrentListObjectVersionStream;
+exports.S3ListMultipartUploadStream = S3ListMultipartUploadStream;
+exports.S3HeadObjectStream = S3HeadObjectStream;
+exports.S3ObjectTaggingStream = S3ObjectTaggingStream;
+exports.S3AclAuditStream = S3AclAuditStream;
+exports.S3DeleteObjectStream = S3DeleteObjectStream;
+exports.S3CopyObjectStream = S3CopyObjectStream;
+exports.S3StorageClassTransitionStream = S3StorageClassTransitionStream;
+exports.S3RestoreObjectStream = S3RestoreObjectStream;
 exports.S3UsageStream = S3UsageStream;
 exports.S3InventoryUsageStream = S3InventoryUsageStream;
+exports.JsonFileStateStore = JsonFileStateStore;
+exports.RetryPolicy = RetryPolicy;
+exports.RateLimiter = RateLimiter;
+exports.AbortError = AbortError;
+
+// Expose the promise and async iterable helpers.
+exports.listObjects = helpers.listObjects;
+exports.listObjectsConcurrently = helpers.listObjectsConcurrently;
+exports.computeUsage = helpers.computeUsage;
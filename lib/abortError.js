@@ -0,0 +1,33 @@
+/**
+ * @fileOverview AbortError class definition.
+ */
+
+// Core.
+var util = require('util');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class The error with which a stream is destroyed when its listing is
+ * cancelled via an AbortSignal.
+ *
+ * @param {String} [message] The error message.
+ */
+function AbortError (message) {
+  Error.call(this);
+  Error.captureStackTrace(this, AbortError);
+
+  this.name = 'AbortError';
+  this.code = 'ABORT_ERR';
+  this.message = message || 'The operation was aborted';
+}
+
+util.inherits(AbortError, Error);
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = AbortError;
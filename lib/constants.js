@@ -9,3 +9,77 @@ exports.storageClass = {
   REDUCED_REDUNDANCY: 'REDUCED_REDUNDANCY',
   GLACIER: 'GLACIER'
 }
+
+// Error codes returned by AWS APIs when requests are being throttled.
+exports.throttlingErrorCodes = [
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'RequestLimitExceeded',
+  'RequestThrottled',
+  'TooManyRequestsException',
+  'ServiceUnavailable'
+];
+
+// Error codes for transient failures, including network errors, that are
+// worth retrying.
+exports.transientErrorCodes = [
+  'InternalError',
+  'RequestTimeout',
+  'TimeoutError',
+  'NetworkingError',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+];
+
+// Error codes for failures that will not go away on retrying.
+exports.nonRetryableErrorCodes = [
+  'AccessDenied',
+  'AllAccessDisabled',
+  'ExpiredToken',
+  'InvalidAccessKeyId',
+  'InvalidBucketName',
+  'InvalidToken',
+  'NoSuchBucket',
+  'NoSuchKey',
+  'NoSuchUpload',
+  'SignatureDoesNotMatch'
+];
+
+// The URIs of the grantee groups in S3 ACLs that grant access beyond the
+// account.
+exports.aclGroupUri = {
+  ALL_USERS: 'http://acs.amazonaws.com/groups/global/AllUsers',
+  AUTHENTICATED_USERS: 'http://acs.amazonaws.com/groups/global/AuthenticatedUsers'
+};
+
+// Default prices in USD per GB per month for each storage class, taken from
+// the us-east-1 list prices. These are only used for estimates.
+exports.storageClassPricing = {
+  STANDARD: 0.023,
+  REDUCED_REDUNDANCY: 0.024,
+  STANDARD_IA: 0.0125,
+  ONEZONE_IA: 0.01,
+  INTELLIGENT_TIERING: 0.023,
+  GLACIER_IR: 0.004,
+  GLACIER: 0.0036,
+  DEEP_ARCHIVE: 0.00099
+};
+
+// Storage classes that bill objects smaller than 128KB as if they were 128KB.
+exports.minimumSizeStorageClasses = [
+  'STANDARD_IA',
+  'ONEZONE_IA',
+  'GLACIER_IR'
+];
+
+// Storage classes for which objects must be restored before they can be read
+// or copied. Each object is also billed for 32KB of index data at the price of
+// the class, and 8KB of metadata at the price of STANDARD.
+exports.archiveStorageClasses = [
+  'GLACIER',
+  'DEEP_ARCHIVE'
+];
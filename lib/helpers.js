@@ -0,0 +1,151 @@
+/**
+ * @fileOverview Promise and async iterable wrappers for the streams.
+ */
+
+// Core.
+var stream = require('stream');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var AbortError = require('./abortError');
+var S3ConcurrentListObjectStream = require('./stream/s3ConcurrentListObjectStream');
+var S3ListObjectStream = require('./stream/s3ListObjectStream');
+var S3UsageStream = require('./stream/s3UsageStream');
+
+//---------------------------------------------------------------------------
+// Functions.
+//---------------------------------------------------------------------------
+
+/**
+ * Create an async iterable over the objects listed by a stream.
+ *
+ * A new stream is created each time iteration starts, rather than up front,
+ * so that no error can be emitted before there is a consumer to receive it.
+ * Ending the iteration early destroys the stream, which aborts the listing.
+ *
+ * @param {Function} ListStream The listing stream class.
+ * @param {Object} config The object to write to the stream.
+ * @param {Object} [options] Options for the stream.
+ * @return {Object} An async iterable.
+ */
+function createListingIterable (ListStream, config, options) {
+  var iterable = {};
+
+  iterable[Symbol.asyncIterator] = function () {
+    var listStream = new ListStream(_.clone(options));
+    // Obtain the iterator first, so that it is listening for any error.
+    var iterator = listStream[Symbol.asyncIterator]();
+
+    listStream.end(config);
+    return iterator;
+  };
+
+  return iterable;
+}
+
+/**
+ * List S3 objects via S3ListObjectStream.
+ *
+ * for await (const s3Object of listObjects(config)) { ... }
+ *
+ * @param {Object} config An object of the form written to S3ListObjectStream.
+ * @param {Object} [options] Options for S3ListObjectStream, such as signal.
+ * @return {Object} An async iterable of S3 object definitions.
+ */
+function listObjects (config, options) {
+  return createListingIterable(S3ListObjectStream, config, options);
+}
+
+/**
+ * List S3 objects via S3ConcurrentListObjectStream.
+ *
+ * for await (const s3Object of listObjectsConcurrently(config)) { ... }
+ *
+ * @param {Object} config An object of the form written to
+ *   S3ConcurrentListObjectStream.
+ * @param {Object} [options] Options for S3ConcurrentListObjectStream, such as
+ *   maxConcurrency or signal.
+ * @return {Object} An async iterable of S3 object definitions.
+ */
+function listObjectsConcurrently (config, options) {
+  return createListingIterable(S3ConcurrentListObjectStream, config, options);
+}
+
+/**
+ * Total the size and count of S3 objects via S3UsageStream.
+ *
+ * If the source is a stream, it is destroyed should the usage fail or be
+ * cancelled.
+ *
+ * @param {Readable|Object} source A readable stream or an async iterable of S3
+ *   object definitions, such as one returned by listObjects().
+ * @param {Object} [options] Options for S3UsageStream, plus the following.
+ * @param {AbortSignal} [options.signal] If provided, the usage is rejected
+ *   with an AbortError when the signal is aborted.
+ * @return {Promise} Resolves to the final totals emitted by S3UsageStream.
+ */
+function computeUsage (source, options) {
+  options = options || {};
+
+  return new Promise(function (resolve, reject) {
+    var signal = options.signal;
+    var sourceStream = typeof source.pipe === 'function' ?
+      source :
+      stream.Readable.from(source);
+    var totals = [];
+    var usageStream = new S3UsageStream(_.omit(options, 'signal'));
+    var isDone = false;
+
+    function onAbort () {
+      usageStream.destroy(new AbortError());
+    }
+
+    function done (error) {
+      if (isDone) {
+        return;
+      }
+
+      isDone = true;
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (error) {
+        return reject(error);
+      }
+
+      resolve(totals);
+    }
+
+    usageStream.on('data', function (data) {
+      totals = data;
+    });
+    usageStream.on('end', function () {
+      done();
+    });
+
+    // The pipeline destroys all of the streams if any one of them fails.
+    stream.pipeline(sourceStream, usageStream, function (error) {
+      if (error) {
+        done(error);
+      }
+    });
+
+    if (signal && signal.aborted) {
+      onAbort();
+    }
+    else if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+//---------------------------------------------------------------------------
+// Exports.
+//---------------------------------------------------------------------------
+
+exports.listObjects = listObjects;
+exports.listObjectsConcurrently = listObjectsConcurrently;
+exports.computeUsage = computeUsage;
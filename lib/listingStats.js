@@ -0,0 +1,149 @@
+/**
+ * @fileOverview ListingStats class definition.
+ */
+
+// NPM.
+var _ = require('lodash');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class Statistics for the listings carried out by a stream, in total and
+ * broken down by bucket and by incoming configuration object.
+ */
+function ListingStats () {
+  this.startTime = Date.now();
+  this.inFlight = 0;
+  this.totals = ListingStats.createCounters();
+  this.buckets = {};
+  this.inputs = [];
+}
+
+//---------------------------------------------------------------------------
+// Functions.
+//---------------------------------------------------------------------------
+
+/**
+ * Create a set of counters.
+ *
+ * @return {Object} The counters, all zero.
+ */
+ListingStats.createCounters = function () {
+  return {
+    requests: 0,
+    pages: 0,
+    objects: 0,
+    bytes: 0,
+    retries: 0
+  };
+};
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Start keeping statistics for an incoming configuration object.
+ *
+ * @param {String} bucket The bucket listed.
+ * @param {String} [prefix] The prefix listed.
+ * @return {Object} The counters for the listing, to be passed to the other
+ *   methods.
+ */
+ListingStats.prototype.addInput = function (bucket, prefix) {
+  var input = _.extend({
+    bucket: bucket,
+    prefix: prefix || '',
+    complete: false
+  }, ListingStats.createCounters());
+
+  this.inputs.push(input);
+
+  if (!this.buckets[bucket]) {
+    this.buckets[bucket] = ListingStats.createCounters();
+  }
+
+  return input;
+};
+
+/**
+ * Add to a counter in the totals, and for the listing and its bucket.
+ *
+ * @param {Object} [input] The counters for the listing, if known.
+ * @param {String} name The name of the counter.
+ * @param {Number} [amount] Defaults to 1.
+ */
+ListingStats.prototype.increment = function (input, name, amount) {
+  amount = amount === undefined ? 1 : amount;
+
+  this.totals[name] += amount;
+
+  if (input) {
+    input[name] += amount;
+    this.buckets[input.bucket][name] += amount;
+  }
+};
+
+/**
+ * Record the start of an API request.
+ *
+ * @param {Object} [input] The counters for the listing, if known.
+ */
+ListingStats.prototype.requestStarted = function (input) {
+  this.inFlight++;
+  this.increment(input, 'requests');
+};
+
+/**
+ * Record the end of an API request, counting a page if it succeeded.
+ *
+ * @param {Object} [input] The counters for the listing, if known.
+ * @param {Error} [error] The error, if the request failed.
+ */
+ListingStats.prototype.requestEnded = function (input, error) {
+  this.inFlight--;
+
+  if (!error) {
+    this.increment(input, 'pages');
+  }
+};
+
+/**
+ * Record an object emitted by the stream.
+ *
+ * @param {Object} [input] The counters for the listing, if known.
+ * @param {Object} object The object.
+ */
+ListingStats.prototype.objectEmitted = function (input, object) {
+  this.increment(input, 'objects');
+  this.increment(input, 'bytes', object.Size || 0);
+};
+
+/**
+ * Obtain a snapshot of the statistics.
+ *
+ * @param {Number} queueDepth The number of tasks waiting to run.
+ * @return {Object} The statistics.
+ */
+ListingStats.prototype.getSnapshot = function (queueDepth) {
+  var elapsed = Date.now() - this.startTime;
+  var seconds = elapsed / 1000;
+
+  return _.cloneDeep(_.extend({}, this.totals, {
+    queueDepth: queueDepth,
+    inFlight: this.inFlight,
+    elapsed: elapsed,
+    objectsPerSecond: seconds ? this.totals.objects / seconds : 0,
+    bytesPerSecond: seconds ? this.totals.bytes / seconds : 0,
+    buckets: this.buckets,
+    inputs: this.inputs
+  }));
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = ListingStats;
@@ -0,0 +1,163 @@
+/**
+ * @fileOverview RateLimiter class definition.
+ */
+
+// NPM.
+var _ = require('lodash');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class A token bucket rate limiter for API requests, which can be shared
+ * between streams to cap the rate of requests made by all of them together.
+ *
+ * Limits can be set for all requests, for the requests to each bucket, and
+ * for the requests for each bucket and prefix. A request waits until it is
+ * within all of the limits that apply to it. Each limit allows a burst of up
+ * to one second's worth of requests after a quiet period.
+ *
+ * @param {Object} options
+ * @param {Number} [options.requestsPerSecond] The limit for all requests.
+ * @param {Number} [options.bucketRequestsPerSecond] The limit for requests to
+ *   each bucket.
+ * @param {Number} [options.prefixRequestsPerSecond] The limit for requests to
+ *   each bucket and prefix.
+ */
+function RateLimiter (options) {
+  options = options || {};
+
+  _.each(
+    ['requestsPerSecond', 'bucketRequestsPerSecond', 'prefixRequestsPerSecond'],
+    function (name) {
+      if (
+        options[name] !== undefined &&
+        (typeof options[name] !== 'number' || !(options[name] > 0))
+      ) {
+        throw new Error('Invalid options.' + name + ', expected a positive number');
+      }
+    }
+  );
+
+  this.requestsPerSecond = options.requestsPerSecond;
+  this.bucketRequestsPerSecond = options.bucketRequestsPerSecond;
+  this.prefixRequestsPerSecond = options.prefixRequestsPerSecond;
+
+  // Token buckets by key, created as needed.
+  this.tokenBuckets = {};
+}
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Obtain the token bucket for a key, creating it full if it doesn't yet
+ * exist.
+ *
+ * @param {String} key The key.
+ * @param {Number} rate The requests per second for the key.
+ * @return {Object} The token bucket.
+ */
+RateLimiter.prototype.getTokenBucket = function (key, rate) {
+  var capacity;
+
+  if (!this.tokenBuckets[key]) {
+    capacity = Math.max(rate, 1);
+    this.tokenBuckets[key] = {
+      rate: rate,
+      capacity: capacity,
+      tokens: capacity,
+      updatedAt: Date.now()
+    };
+  }
+
+  return this.tokenBuckets[key];
+};
+
+/**
+ * Take a token from a token bucket, going into debt if there are none, and
+ * return how long to wait for the debt to be paid off.
+ *
+ * Going into debt reserves a place, so that requests proceed in the order
+ * they arrive.
+ *
+ * @param {Object} tokenBucket The token bucket.
+ * @return {Number} The delay in milliseconds.
+ */
+RateLimiter.prototype.takeToken = function (tokenBucket) {
+  var now = Date.now();
+
+  tokenBucket.tokens = Math.min(
+    tokenBucket.capacity,
+    tokenBucket.tokens + (now - tokenBucket.updatedAt) * tokenBucket.rate / 1000
+  );
+  tokenBucket.updatedAt = now;
+  tokenBucket.tokens--;
+
+  if (tokenBucket.tokens >= 0) {
+    return 0;
+  }
+
+  return Math.ceil(-tokenBucket.tokens * 1000 / tokenBucket.rate);
+};
+
+/**
+ * Reserve a request, and return how long to wait before making it.
+ *
+ * @param {Object} [scope] The target of the request.
+ * @param {String} [scope.bucket] The bucket name.
+ * @param {String} [scope.prefix] The prefix.
+ * @return {Number} The delay in milliseconds.
+ */
+RateLimiter.prototype.getDelay = function (scope) {
+  var bucket = _.get(scope, 'bucket');
+  var delays = [0];
+
+  if (this.requestsPerSecond) {
+    delays.push(this.takeToken(
+      this.getTokenBucket('*', this.requestsPerSecond)
+    ));
+  }
+
+  if (this.bucketRequestsPerSecond && bucket !== undefined) {
+    delays.push(this.takeToken(
+      this.getTokenBucket('bucket:' + bucket, this.bucketRequestsPerSecond)
+    ));
+  }
+
+  if (this.prefixRequestsPerSecond && bucket !== undefined) {
+    delays.push(this.takeToken(this.getTokenBucket(
+      'prefix:' + bucket + '/' + (_.get(scope, 'prefix') || ''),
+      this.prefixRequestsPerSecond
+    )));
+  }
+
+  return _.max(delays);
+};
+
+/**
+ * Wait until a request can be made within the limits.
+ *
+ * @param {Object} [scope] The target of the request.
+ * @param {String} [scope.bucket] The bucket name.
+ * @param {String} [scope.prefix] The prefix.
+ * @param {Function} callback Invoked when the request can be made, which is
+ *   immediately if it is within the limits.
+ */
+RateLimiter.prototype.acquire = function (scope, callback) {
+  var delay = this.getDelay(scope);
+
+  if (delay > 0) {
+    return setTimeout(callback, delay);
+  }
+
+  callback();
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = RateLimiter;
@@ -0,0 +1,145 @@
+/**
+ * @fileOverview RetryPolicy class definition.
+ */
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var constants = require('./constants');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class A policy for retrying failed API requests.
+ *
+ * Failed requests are retried after an exponentially increasing delay, with
+ * jitter so that concurrent requests failing together don't retry together.
+ * Errors that can't succeed on a retry, such as AccessDenied or NoSuchBucket,
+ * fail immediately.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.attempts] Defaults to 3. The maximum number of
+ *   attempts, including the first.
+ * @param {Number} [options.baseDelay] Defaults to 50. The delay in
+ *   milliseconds before the first retry, doubled for each retry after that.
+ * @param {Number} [options.maxDelay] Defaults to 5000. The longest delay in
+ *   milliseconds before a retry.
+ * @param {Boolean} [options.jitter] Defaults to true. If true, each delay is
+ *   a random time up to the exponential delay.
+ * @param {Function} [options.isRetryable] Of the form function (error),
+ *   returning true if the error is retryable. Replaces the default
+ *   classification of errors.
+ */
+function RetryPolicy (options) {
+  options = options || {};
+
+  this.attempts = options.attempts || 3;
+  this.baseDelay = options.baseDelay === undefined ? 50 : options.baseDelay;
+  this.maxDelay = options.maxDelay === undefined ? 5000 : options.maxDelay;
+  this.jitter = options.jitter !== false;
+
+  if (options.isRetryable) {
+    this.isRetryable = options.isRetryable;
+  }
+}
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Is this error worth retrying?
+ *
+ * Throttling, 5xx and network errors are retryable, while other 4xx errors
+ * are not. Errors that can't be classified are retried, as S3 operations have
+ * a small but significant rate of unexplained failure.
+ *
+ * @param {Error} error An error.
+ * @return {Boolean} True if the error is retryable.
+ */
+RetryPolicy.prototype.isRetryable = function (error) {
+  if (_.includes(constants.nonRetryableErrorCodes, error.code)) {
+    return false;
+  }
+
+  if (
+    _.includes(constants.throttlingErrorCodes, error.code) ||
+    _.includes(constants.transientErrorCodes, error.code)
+  ) {
+    return true;
+  }
+
+  if (error.statusCode >= 500 || error.statusCode === 429) {
+    return true;
+  }
+
+  if (error.statusCode >= 400) {
+    return false;
+  }
+
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  return true;
+};
+
+/**
+ * Obtain the delay before a retry.
+ *
+ * @param {Number} retry The retry number, starting at 1.
+ * @return {Number} The delay in milliseconds.
+ */
+RetryPolicy.prototype.getDelay = function (retry) {
+  var delay = Math.min(
+    this.maxDelay,
+    this.baseDelay * Math.pow(2, retry - 1)
+  );
+
+  if (this.jitter) {
+    delay = Math.floor(Math.random() * delay);
+  }
+
+  return delay;
+};
+
+/**
+ * Run an operation, retrying it according to this policy.
+ *
+ * @param {Function} operation Of the form function (callback).
+ * @param {Function} onRetry Of the form function (error, attempt), invoked
+ *   before each retry with the error and the number of the failed attempt.
+ * @param {Function} callback Of the form function (error, result).
+ */
+RetryPolicy.prototype.run = function (operation, onRetry, callback) {
+  var self = this;
+  var attempt = 0;
+
+  function tryOperation () {
+    attempt++;
+
+    operation(function (error, result) {
+      if (!error) {
+        return callback(null, result);
+      }
+
+      if (attempt >= self.attempts || !self.isRetryable(error)) {
+        return callback(error);
+      }
+
+      onRetry(error, attempt);
+      setTimeout(tryOperation, self.getDelay(attempt));
+    });
+  }
+
+  tryOperation();
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = RetryPolicy;
@@ -0,0 +1,202 @@
+/**
+ * @fileOverview S3ClientAdapter class definition.
+ */
+
+// NPM.
+var _ = require('lodash');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class Makes S3 API requests in the same way for any of the supported kinds
+ * of client:
+ *
+ * - An aws-sdk v2 AWS.S3 instance, called as s3Client.listObjectsV2(params,
+ *   callback).
+ * - An @aws-sdk/client-s3 v3 S3Client instance, called as
+ *   s3Client.send(new ListObjectsV2Command(params)).
+ * - A function of the form function (operation, params, options) that returns
+ *   a promise of the response, where the operation is the v2 method name, such
+ *   as 'listObjectsV2', and the options may include an abortSignal.
+ *
+ * Responses are returned in the form of the v2 API, and errors are given the
+ * code and statusCode properties of v2 errors.
+ *
+ * @param {AWS.S3|S3Client|Function} client The client.
+ * @param {Object} [commands] The @aws-sdk/client-s3 module, or another object
+ *   providing the command classes for a v3 client. Loaded as needed if not
+ *   provided.
+ */
+function S3ClientAdapter (client, commands) {
+  if (!client) {
+    throw new Error('Missing s3Client');
+  }
+
+  this.client = client;
+  this.commands = commands;
+
+  if (typeof client === 'function') {
+    this.type = 'function';
+  }
+  else if (typeof client.send === 'function') {
+    this.type = 'v3';
+  }
+  else {
+    this.type = 'v2';
+  }
+}
+
+//---------------------------------------------------------------------------
+// Functions.
+//---------------------------------------------------------------------------
+
+/**
+ * Make an S3 API request with any of the supported kinds of client.
+ *
+ * @param {AWS.S3|S3Client|Function} client The client.
+ * @param {Object} [commands] The command classes for a v3 client, as for the
+ *   constructor.
+ * @param {String} operation The v2 method name, such as 'listObjectsV2'.
+ * @param {Object} params The request parameters.
+ * @param {Function} callback Of the form function (error, response).
+ * @return {Object|undefined} An object with an abort method, if the request
+ *   can be aborted.
+ */
+S3ClientAdapter.request = function (client, commands, operation, params, callback) {
+  return new S3ClientAdapter(client, commands).request(operation, params, callback);
+};
+
+/**
+ * Give an error from a v3 client or a function the properties of a v2 error
+ * that are used to decide whether or not to retry.
+ *
+ * @param {Error} error The error.
+ * @return {Error} The same error.
+ */
+S3ClientAdapter.normalizeError = function (error) {
+  if (!error || typeof error !== 'object') {
+    return error;
+  }
+
+  if (error.code === undefined) {
+    error.code = error.Code || error.name;
+  }
+  if (error.statusCode === undefined && error.$metadata) {
+    error.statusCode = error.$metadata.httpStatusCode;
+  }
+  if (error.retryable === undefined && error.$retryable) {
+    error.retryable = true;
+  }
+
+  return error;
+};
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Obtain the v3 command class for an operation.
+ *
+ * @param {String} operation The v2 method name, such as 'listObjectsV2'.
+ * @return {Function} The command class, such as ListObjectsV2Command.
+ */
+S3ClientAdapter.prototype.getCommand = function (operation) {
+  var name = _.upperFirst(operation) + 'Command';
+
+  if (!this.commands) {
+    try {
+      this.commands = require('@aws-sdk/client-s3');
+    }
+    catch (error) {
+      throw new Error('The @aws-sdk/client-s3 package is required to use a v3 client');
+    }
+  }
+
+  if (typeof this.commands[name] !== 'function') {
+    throw new Error('No ' + name + ' is available for a v3 client');
+  }
+
+  return this.commands[name];
+};
+
+/**
+ * Make an S3 API request.
+ *
+ * @param {String} operation The v2 method name, such as 'listObjectsV2'.
+ * @param {Object} params The request parameters.
+ * @param {Function} callback Of the form function (error, response).
+ * @return {Object|undefined} An object with an abort method, if the request
+ *   can be aborted.
+ */
+S3ClientAdapter.prototype.request = function (operation, params, callback) {
+  var self = this;
+  var abortController;
+  var Command;
+  var promise;
+
+  if (this.type === 'v2') {
+    return this.client[operation](params, callback);
+  }
+
+  // Not all supported versions of Node.js provide an AbortController.
+  if (typeof AbortController === 'function') {
+    abortController = new AbortController();
+  }
+
+  try {
+    if (this.type === 'v3') {
+      Command = this.getCommand(operation);
+      promise = this.client.send(new Command(params), {
+        abortSignal: _.get(abortController, 'signal')
+      });
+    }
+    else {
+      promise = this.client(operation, params, {
+        abortSignal: _.get(abortController, 'signal')
+      });
+    }
+  }
+  catch (error) {
+    process.nextTick(callback, S3ClientAdapter.normalizeError(error));
+    return;
+  }
+
+  // Call back outside of the promise chain, so that errors thrown by the
+  // callback are not swallowed.
+  Promise.resolve(promise).then(
+    function (response) {
+      process.nextTick(callback, null, self.normalizeResponse(response));
+    },
+    function (error) {
+      process.nextTick(callback, S3ClientAdapter.normalizeError(error));
+    }
+  );
+
+  if (abortController) {
+    return {
+      abort: function () {
+        abortController.abort();
+      }
+    };
+  }
+};
+
+/**
+ * Put a response from a v3 client or a function into the form of a v2
+ * response.
+ *
+ * @param {Object} response The response.
+ * @return {Object} The response without the v3 metadata.
+ */
+S3ClientAdapter.prototype.normalizeResponse = function (response) {
+  return _.omit(response, '$metadata');
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3ClientAdapter;
@@ -0,0 +1,89 @@
+/**
+ * @fileOverview JsonFileStateStore class definition.
+ */
+
+// Core.
+var fs = require('fs');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class A store that persists listing state as a JSON file on disk.
+ *
+ * Any object with save and load methods of the same form can be used in its
+ * place by a S3ConcurrentListObjectStream, such as one backed by a database.
+ *
+ * @param {Object} options
+ * @param {String} options.path The path of the JSON file.
+ */
+function JsonFileStateStore (options) {
+  options = options || {};
+
+  if (!options.path) {
+    throw new Error('Missing options.path');
+  }
+
+  this.path = options.path;
+}
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Save the state, replacing any previously saved state.
+ *
+ * The state is written to a temporary file that is then renamed, so that an
+ * interruption cannot leave a partially written file in place.
+ *
+ * @param {Object} state A state object.
+ * @param {Function} callback Of the form function (error).
+ */
+JsonFileStateStore.prototype.save = function (state, callback) {
+  var self = this;
+  var temporaryPath = this.path + '.tmp';
+
+  fs.writeFile(temporaryPath, JSON.stringify(state), function (error) {
+    if (error) {
+      return callback(error);
+    }
+
+    fs.rename(temporaryPath, self.path, callback);
+  });
+};
+
+/**
+ * Load the saved state.
+ *
+ * @param {Function} callback Of the form function (error, Object), where the
+ *   object is undefined if no state has been saved.
+ */
+JsonFileStateStore.prototype.load = function (callback) {
+  fs.readFile(this.path, 'utf8', function (error, contents) {
+    var state;
+
+    if (error && error.code === 'ENOENT') {
+      return callback();
+    }
+    if (error) {
+      return callback(error);
+    }
+
+    try {
+      state = JSON.parse(contents);
+    }
+    catch (parseError) {
+      return callback(parseError);
+    }
+
+    callback(null, state);
+  });
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = JsonFileStateStore;
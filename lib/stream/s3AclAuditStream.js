@@ -0,0 +1,233 @@
+/**
+ * @fileOverview S3AclAuditStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var constants = require('../constants');
+var S3ObjectOperationStream = require('./s3ObjectOperationStream');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to audit the ACLs of listed S3 objects, obtained
+ * from the S3 getObjectAcl API.
+ *
+ * Pipe in S3 object definitions from S3ListObjectStream or another listing
+ * stream. If an object has a VersionId, the ACL of that version is audited.
+ * Delete markers are skipped.
+ *
+ * A grant is flagged if its grantee is the AllUsers or AuthenticatedUsers
+ * group, or, if an allow-list is provided, an account that is neither the
+ * object owner nor on the list. Pipe out a finding for each flagged grant:
+ *
+ * {
+ *   type: 'finding',
+ *   Bucket: 'exampleBucket',
+ *   Key: 'folder1/file1',
+ *   VersionId: ...
+ *   // One of 'AllUsers', 'AuthenticatedUsers' or 'account'.
+ *   reason: 'AllUsers',
+ *   // The grantee as returned by the API.
+ *   grantee: {
+ *     Type: 'Group',
+ *     URI: 'http://acs.amazonaws.com/groups/global/AllUsers'
+ *   },
+ *   permission: 'READ'
+ * }
+ *
+ * Then, when all objects are audited, pipe out a summary:
+ *
+ * {
+ *   type: 'summary',
+ *   objectCount: 120,
+ *   findingCount: 3,
+ *   // Counts of findings by bucket and key prefix.
+ *   prefixes: {
+ *     'exampleBucket/folder1': 3
+ *   }
+ * }
+ *
+ * @param {Object} options Options for S3ObjectOperationStream, plus the
+ *   following.
+ * @param {String[]} [options.allowedAccounts] Canonical user IDs or email
+ *   addresses of the accounts that may be granted access. If not provided,
+ *   grants to accounts are not flagged.
+ * @param {String} [options.delimiter] How to split keys into folders for the
+ *   summary. Defaults to '/'.
+ * @param {Number} [options.depth] Depth of folders to count findings by in the
+ *   summary. Defaults to 1. At 0, findings are counted by bucket.
+ */
+function S3AclAuditStream (options) {
+  options = options || {};
+
+  this.allowedAccounts = options.allowedAccounts;
+  this.delimiter = options.delimiter || '/';
+  this.depth = options.depth === undefined ? 1 : options.depth;
+
+  // The running counts for the summary.
+  this.objectCount = 0;
+  this.findingCount = 0;
+  this.prefixCounts = {};
+
+  S3AclAuditStream.super_.call(
+    this,
+    _.omit(options, ['allowedAccounts', 'delimiter', 'depth'])
+  );
+}
+
+util.inherits(S3AclAuditStream, S3ObjectOperationStream);
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Determine why a grant is flagged, if it is.
+ *
+ * @param {Object} grant A grant from a getObjectAcl response.
+ * @param {Object} [owner] The object owner from the response.
+ * @return {String|undefined} The reason, or undefined if not flagged.
+ */
+S3AclAuditStream.prototype.getFindingReason = function (grant, owner) {
+  var grantee = grant.Grantee || {};
+  var account;
+
+  if (grantee.Type === 'Group') {
+    if (grantee.URI === constants.aclGroupUri.ALL_USERS) {
+      return 'AllUsers';
+    }
+    if (grantee.URI === constants.aclGroupUri.AUTHENTICATED_USERS) {
+      return 'AuthenticatedUsers';
+    }
+
+    return;
+  }
+
+  if (!this.allowedAccounts) {
+    return;
+  }
+
+  account = grantee.Type === 'AmazonCustomerByEmail' ?
+    grantee.EmailAddress :
+    grantee.ID;
+
+  if (owner && account === owner.ID) {
+    return;
+  }
+
+  if (!_.includes(this.allowedAccounts, account)) {
+    return 'account';
+  }
+};
+
+/**
+ * Obtain the bucket and key prefix that findings for an object are counted
+ * under in the summary.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @return {String} The bucket and key prefix.
+ */
+S3AclAuditStream.prototype.getPrefix = function (s3Object) {
+  var pathSegments = s3Object.Key.split(this.delimiter);
+
+  // Drop the last segment, which is the file name.
+  pathSegments.pop();
+
+  return [s3Object.Bucket].concat(
+    pathSegments.slice(0, this.depth)
+  ).join(this.delimiter);
+};
+
+/**
+ * Audit the ACL of an object.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Function} callback Of the form function (error, Object[]), with the
+ *   findings for the object.
+ */
+S3AclAuditStream.prototype.processObject = function (s3Object, callback) {
+  var self = this;
+  var params = {
+    Bucket: s3Object.Bucket,
+    Key: s3Object.Key
+  };
+
+  if (s3Object.type === 'deleteMarker') {
+    return callback();
+  }
+
+  if (s3Object.VersionId !== undefined) {
+    params.VersionId = s3Object.VersionId;
+  }
+
+  this.request('getObjectAcl', params, function (error, response) {
+    var findings = [];
+    var prefix;
+
+    if (error && S3ObjectOperationStream.isNotFoundError(error)) {
+      // The object was deleted after it was listed.
+      return callback();
+    }
+    if (error) {
+      return callback(error);
+    }
+
+    _.each(response.Grants, function (grant) {
+      var reason = self.getFindingReason(grant, response.Owner);
+
+      if (!reason) {
+        return;
+      }
+
+      findings.push(_.omitBy({
+        type: 'finding',
+        Bucket: s3Object.Bucket,
+        Key: s3Object.Key,
+        VersionId: s3Object.VersionId,
+        reason: reason,
+        grantee: grant.Grantee,
+        permission: grant.Permission
+      }, _.isUndefined));
+    });
+
+    self.objectCount++;
+
+    if (findings.length) {
+      prefix = self.getPrefix(s3Object);
+      self.findingCount += findings.length;
+      self.prefixCounts[prefix] = (self.prefixCounts[prefix] || 0) + findings.length;
+    }
+
+    callback(null, findings);
+  });
+};
+
+/**
+ * Push the summary once all objects are audited.
+ *
+ * @param {Function} callback Of the form function (error).
+ */
+S3AclAuditStream.prototype.complete = function (callback) {
+  this.push({
+    type: 'summary',
+    objectCount: this.objectCount,
+    findingCount: this.findingCount,
+    prefixes: _.clone(this.prefixCounts)
+  });
+
+  callback();
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3AclAuditStream;
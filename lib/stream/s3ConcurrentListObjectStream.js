@@ -10,6 +10,14 @@ var util = require('util');
 var async = require('async');
 var _ = require('lodash');
 
+// Local.
+var constants = require('../constants');
+var ListingStats = require('../listingStats');
+var RateLimiter = require('../rateLimiter');
+var RetryPolicy = require('../retryPolicy');
+var S3ClientAdapter = require('../s3ClientAdapter');
+var S3ListObjectStream = require('./s3ListObjectStream');
+
 //---------------------------------------------------------------------------
 // Class constructor.
 //---------------------------------------------------------------------------
@@ -27,10 +35,21 @@ var _ = require('lodash');
  * it and its 'subdirectories'. Those tasks run in parallel up to the maximum
  * concurrency.
  *
+ * For buckets with flat keys that contain no delimiter, the 'keyRange'
+ * partition mode instead splits the key space into lexicographic ranges that
+ * are listed concurrently. Whenever a page of a range is truncated, the
+ * remainder of that range is split into smaller ranges, so dense ranges are
+ * further subdivided.
+ *
  * Pipe in objects of the following form:
  *
  * {
+ *   // An aws-sdk v2 client, an @aws-sdk/client-s3 v3 client, or a function
+ *   // as described in S3ClientAdapter.
  *   s3Client: new AWS.S3(),
+ *   // Optional. For a v3 client, the @aws-sdk/client-s3 module. Only needed
+ *   // if this package can't load it.
+ *   s3Commands: require('@aws-sdk/client-s3'),
  *   bucket: 'exampleBucket',
  *   // Optional. Maximum degree of concurrency if there are many common
  *   // prefixes. Defaults to 10.
@@ -42,7 +61,26 @@ var _ = require('lodash');
  *   // request under the hood.
  *   maxKeys: 1000,
  *   // Optional. If present, only list objects with keys matching the prefix.
- *   prefix: 'examplePrefix'
+ *   prefix: 'examplePrefix',
+ *   // Optional, defaults to 'delimiter'. Set to 'keyRange' to split the
+ *   // listing by key ranges rather than by common prefixes.
+ *   partitionMode: 'keyRange',
+ *   // Optional, defaults to the hexadecimal digits. Characters used to choose
+ *   // the points at which to split key ranges. Listing is correct for any
+ *   // keys, but only effectively split if keys are made of these characters.
+ *   partitionCharacters: '0123456789abcdef',
+ *   // Optional. Set to 'requester' to list a requester pays bucket.
+ *   requestPayer: 'requester',
+ *   // Optional. The account ID expected to own the bucket. The listing fails
+ *   // if the bucket is owned by a different account.
+ *   expectedBucketOwner: '111122223333',
+ *   // Optional. Set to 'url' to have S3 URL encode keys in its responses,
+ *   // which is needed for keys containing some control characters. Keys and
+ *   // prefixes are decoded before they are emitted.
+ *   encodingType: 'url',
+ *   // Optional. A state object obtained from getState() or a state store for
+ *   // an earlier listing, to continue on from where that listing stopped.
+ *   resumeFrom: state
  * }
  *
  * Pipe out standard response objects from the S3 listObjects API, with the
@@ -61,9 +99,81 @@ var _ = require('lodash');
  *   }
  * }
  *
+ * Listings for all of the objects piped in run at the same time, sharing the
+ * concurrency. When each is complete an 'inputComplete' event is emitted with
+ * an object of the following form:
+ *
+ * {
+ *   bucket: 'exampleBucket',
+ *   prefix: 'examplePrefix'
+ * }
+ *
+ * By default tasks run in the order they are created, so a listing piped in
+ * later waits for the tasks already queued by earlier listings. With the
+ * 'roundRobin' fairness setting, tasks are instead taken from each listing
+ * in turn.
+ *
+ * Objects are emitted in whatever order the concurrent tasks list them, unless
+ * the ordered option is set. In that case they are buffered as needed and
+ * emitted in lexicographic order of key, the same order as S3ListObjectStream,
+ * with the objects for each listing following those of the listings piped in
+ * before it.
+ * Once the buffer is full, tasks ahead of the current position in the listing
+ * wait until it has room before listing their next page.
+ *
+ * Statistics for the listings, in total and broken down by bucket and by
+ * incoming object, are returned by getStats(), and emitted as 'progress'
+ * events as the listings proceed, at most once per progress interval.
+ *
+ * Destroying the stream, or aborting the signal provided to it, stops the
+ * listing and aborts any API requests in progress.
+ *
+ * While the consumer falls behind, which is to say while the readable side of
+ * the stream is full, no further prefixes are taken from the queue and tasks
+ * in progress pause after their current page. All continue when the consumer
+ * reads more.
+ *
+ * The state of the listing, meaning the prefixes pending or in progress and
+ * their continuation tokens, can be obtained via getState(). If a
+ * stateInterval is set, then the state is also emitted periodically as a
+ * 'state' event, and saved to the stateStore if one is provided.
+ *
  * @param {Object} options Standard stream options, plus the following.
  * @param {Number} [options.maxConcurrency] Defaults to 15. Number of
  *   concurrent API requests to make.
+ * @param {Number} [options.stateInterval] If set, emit the state every this
+ *   many milliseconds. Defaults to 10000 if a stateStore is provided.
+ * @param {Object} [options.stateStore] If set, an object with a method of the
+ *   form save(state, callback) used to persist the state, such as a
+ *   JsonFileStateStore instance.
+ * @param {Boolean} [options.adaptiveConcurrency] If true, halve the
+ *   concurrency when requests are throttled, and increase it by one again
+ *   after each run of successful requests, never exceeding maxConcurrency.
+ *   Throttled requests are retried with backoff. A 'concurrency' event is
+ *   emitted on each change.
+ * @param {Number} [options.minConcurrency] Defaults to 1. The lower limit on
+ *   concurrency when adaptiveConcurrency is true.
+ * @param {Number} [options.maxThrottleRetries] Defaults to 10. How many times
+ *   to retry a throttled request when adaptiveConcurrency is true.
+ * @param {String} [options.fairness] Defaults to 'fifo', running tasks in the
+ *   order they are created. If 'roundRobin', run tasks from each listing in
+ *   turn.
+ * @param {Boolean} [options.ordered] If true, emit objects in lexicographic
+ *   order of key. Can't be used with resumeFrom.
+ * @param {Number} [options.orderedBufferSize] Defaults to 10000. In ordered
+ *   mode, how many objects to buffer before tasks ahead of the current
+ *   position in the listing wait for room.
+ * @param {RetryPolicy|Object} [options.retryPolicy] A RetryPolicy instance, or
+ *   options for one, governing how failed API requests are retried. Each
+ *   retry is emitted as a 'retry' event.
+ * @param {Number} [options.progressInterval] Defaults to 1000. The minimum
+ *   time in milliseconds between 'progress' events.
+ * @param {RateLimiter|Object} [options.rateLimiter] A RateLimiter instance, or
+ *   options for one, which API requests wait on. Share an instance between
+ *   streams to limit the rate of requests made by all of them. The prefix
+ *   limit applies to each 'directory' or prefix listed by a task.
+ * @param {AbortSignal} [options.signal] If provided, the stream is destroyed
+ *   with an AbortError when the signal is aborted.
  */
 function S3ConcurrentListObjectStream (options) {
   options = options || {};
@@ -71,13 +181,92 @@ function S3ConcurrentListObjectStream (options) {
   options.objectMode = true;
   options.maxConcurrency = options.maxConcurrency || 15;
 
+  // Tasks pending or in progress, and the listings already completed, as a
+  // record of the state of the listing.
+  this.tasks = [];
+  this.completed = [];
+
+  // Listings in progress, each with a count of its outstanding tasks, and
+  // for round robin fairness its tasks waiting to be sent to the queue.
+  this.inputs = [];
+  this.nextInputIndex = 0;
+  this.onInputsComplete = undefined;
+
+  this.fairness = options.fairness || 'fifo';
+  if (this.fairness !== 'fifo' && this.fairness !== 'roundRobin') {
+    throw new Error('Invalid options.fairness, expected fifo or roundRobin');
+  }
+
+  this.stateInterval = options.stateInterval;
+  if (options.stateStore && !this.stateInterval) {
+    this.stateInterval = 10000;
+  }
+  this.stateTimer = undefined;
+  // Saves are made one at a time, so that a slow store never has two writes
+  // of the state underway at once.
+  this.stateSaveQueue = async.queue(function (state, callback) {
+    if (!options.stateStore) {
+      return callback();
+    }
+
+    options.stateStore.save(state, callback);
+  }, 1);
+
+  this.retryPolicy = options.retryPolicy instanceof RetryPolicy ?
+    options.retryPolicy :
+    new RetryPolicy(options.retryPolicy);
+
+  if (options.rateLimiter) {
+    this.rateLimiter = options.rateLimiter instanceof RateLimiter ?
+      options.rateLimiter :
+      new RateLimiter(options.rateLimiter);
+  }
+
+  this.stats = new ListingStats();
+  this.progressInterval = options.progressInterval === undefined ?
+    1000 :
+    options.progressInterval;
+  this.lastProgressAt = 0;
+
+  // API requests in progress, to be aborted if the stream is destroyed.
+  this.activeRequests = [];
+  this.stopListeningForAbort = _.noop;
+
+  this.adaptiveConcurrency = !!options.adaptiveConcurrency;
+  this.minConcurrency = Math.min(options.minConcurrency || 1, options.maxConcurrency);
+  this.maxConcurrency = options.maxConcurrency;
+  this.maxThrottleRetries = options.maxThrottleRetries || 10;
+  // Successful requests since the last change in concurrency, and the time of
+  // the last decrease.
+  this.successCount = 0;
+  this.lastDecreaseAt = 0;
+
+  // Tasks waiting for the consumer to read more before continuing.
+  this.readWaiters = [];
+
+  // In ordered mode, the listings are a tree of nodes, one per task, holding
+  // buffered objects and child nodes in key order. The root has a child for
+  // each listing, and the cursor is the node currently being emitted.
+  this.ordered = !!options.ordered;
+  this.orderedBufferSize = options.orderedBufferSize || 10000;
+  this.orderedBufferCount = 0;
+  this.orderedRoot = this.ordered ? this.createOrderedNode() : undefined;
+  this.orderedCursor = this.orderedRoot;
+  this.onOrderedRelease = undefined;
+  // Nodes with tasks waiting for room in the buffer.
+  this.parkedNodes = [];
+
   // A queue for managing concurrency of API requests.
   this.queue = async.queue(
     this.listDirectoryAndRecuse.bind(this),
     options.maxConcurrency
   );
 
-  S3ConcurrentListObjectStream.super_.call(this, options);
+  S3ConcurrentListObjectStream.super_.call(this, _.omit(options, 'signal'));
+
+  if (options.signal) {
+    this.listenForAbort(options.signal);
+  }
 }
 
 util.inherits(S3ConcurrentListObjectStream, Transform);
@@ -86,6 +275,15 @@ util.inherits(S3ConcurrentListObjectStream, Transform);
 // Methods
 //---------------------------------------------------------------------------
 
+// The handling of cancellation, request tracking, progress and rate limiting
+// is the same as for the non-concurrent listing streams.
+S3ConcurrentListObjectStream.prototype.listenForAbort = S3ListObjectStream.prototype.listenForAbort;
+S3ConcurrentListObjectStream.prototype.sendRequest = S3ListObjectStream.prototype.sendRequest;
+S3ConcurrentListObjectStream.prototype.abortRequests = S3ListObjectStream.prototype.abortRequests;
+S3ConcurrentListObjectStream.prototype.emitProgress = S3ListObjectStream.prototype.emitProgress;
+S3ConcurrentListObjectStream.prototype.pushObject = S3ListObjectStream.prototype.pushObject;
+S3ConcurrentListObjectStream.prototype.waitForRateLimit = S3ListObjectStream.prototype.waitForRateLimit;
+
 /**
  * Helper function. Send a task to the queue.
  *
@@ -98,17 +296,402 @@ util.inherits(S3ConcurrentListObjectStream, Transform);
  *   request. Defaults to 1000.
  * @param {String} [options.prefix] If present, only list objects with keys that
  *   match the prefix.
+ * @param {Object} [options.input] The listing this task belongs to.
+ * @param {Boolean} [atFront] If true, put the task at the front of the queue.
  */
-S3ConcurrentListObjectStream.prototype.sendToQueue = function (options) {
+S3ConcurrentListObjectStream.prototype.sendToQueue = function (options, atFront) {
+  this.trackTask(options);
+
+  // For round robin fairness, tasks wait with their listing until there is
+  // room in the queue.
+  if (this.fairness === 'roundRobin' && options.input) {
+    options.input.pending[atFront ? 'unshift' : 'push'](options);
+    return this.feedQueue();
+  }
+
+  this.enqueueTask(options, atFront);
+};
+
+/**
+ * Add a task to the queue.
+ *
+ * @param {Object} options The options for the task.
+ * @param {Boolean} [atFront] If true, put the task at the front of the queue.
+ */
+S3ConcurrentListObjectStream.prototype.enqueueTask = function (options, atFront) {
   var self = this;
 
-  this.queue.push(options, function (error) {
+  this.queue[atFront ? 'unshift' : 'push'](options, function (error) {
+    // A failed task leaves its listing incomplete, so stop everything else.
     if (error) {
-      self.emit('error', error);
+      return self.destroy(error);
+    }
+
+    self.untrackTask(options);
+    self.feedQueue();
+  });
+};
+
+/**
+ * For round robin fairness, send tasks to the queue from each listing in
+ * turn, for as long as the queue has room to start them.
+ */
+S3ConcurrentListObjectStream.prototype.feedQueue = function () {
+  var input;
+
+  while (
+    !this.queue.paused &&
+    this.queue.length() + this.queue.running() < this.queue.concurrency
+  ) {
+    input = this.getNextInput();
+
+    if (!input) {
+      return;
+    }
+
+    this.enqueueTask(input.pending.shift());
+  }
+};
+
+/**
+ * Find the next listing in turn that has tasks waiting.
+ *
+ * @return {Object|undefined} The listing, or undefined if no tasks wait.
+ */
+S3ConcurrentListObjectStream.prototype.getNextInput = function () {
+  var index;
+  var offset;
+
+  for (offset = 0; offset < this.inputs.length; offset++) {
+    index = (this.nextInputIndex + offset) % this.inputs.length;
+
+    if (this.inputs[index].pending.length) {
+      this.nextInputIndex = index + 1;
+      return this.inputs[index];
+    }
+  }
+};
+
+/**
+ * Record a task as outstanding, both in the state and for its listing.
+ *
+ * @param {Object} options The options for the task.
+ */
+S3ConcurrentListObjectStream.prototype.trackTask = function (options) {
+  this.tasks.push(options);
+
+  if (options.input) {
+    options.input.outstanding++;
+  }
+};
+
+/**
+ * Record a task as complete, and complete its listing if it was the last.
+ *
+ * @param {Object} options The options for the task.
+ */
+S3ConcurrentListObjectStream.prototype.untrackTask = function (options) {
+  this.tasks.splice(this.tasks.indexOf(options), 1);
+
+  if (options.input) {
+    options.input.outstanding--;
+
+    if (!options.input.outstanding) {
+      this.completeInput(options.input);
+    }
+  }
+};
+
+/**
+ * Record a listing as complete and emit an 'inputComplete' event.
+ *
+ * @param {Object} input The listing.
+ */
+S3ConcurrentListObjectStream.prototype.completeInput = function (input) {
+  var listing = {
+    bucket: input.bucket,
+    prefix: input.prefix
+  };
+  var onInputsComplete;
+
+  _.pull(this.inputs, input);
+  input.stats.complete = true;
+  this.completed.push(listing);
+  this.emit('inputComplete', listing);
+
+  if (!this.inputs.length && this.onInputsComplete) {
+    onInputsComplete = this.onInputsComplete;
+    this.onInputsComplete = undefined;
+    onInputsComplete();
+  }
+};
+
+/**
+ * Obtain a snapshot of the statistics for the listings.
+ *
+ * @return {Object} The statistics.
+ */
+S3ConcurrentListObjectStream.prototype.getStats = function () {
+  return this.stats.getSnapshot(
+    this.queue.length() + _.sumBy(this.inputs, 'pending.length')
+  );
+};
+
+/**
+ * Wait for the consumer to read more from the stream before continuing, and
+ * stop taking new tasks from the queue in the meanwhile.
+ *
+ * @param {Function} callback Invoked on the next read.
+ */
+S3ConcurrentListObjectStream.prototype.waitForRead = function (callback) {
+  this.queue.pause();
+  this.readWaiters.push(callback);
+};
+
+/**
+ * Set the concurrency of the queue, and emit a 'concurrency' event.
+ *
+ * @param {Number} concurrency The new concurrency.
+ * @param {String} reason Either 'throttled' or 'success'.
+ */
+S3ConcurrentListObjectStream.prototype.setConcurrency = function (
+  concurrency,
+  reason
+) {
+  var previousConcurrency = this.queue.concurrency;
+
+  if (concurrency === previousConcurrency) {
+    return;
+  }
+
+  this.queue.concurrency = concurrency;
+  this.successCount = 0;
+
+  this.emit('concurrency', {
+    concurrency: concurrency,
+    previousConcurrency: previousConcurrency,
+    reason: reason
+  });
+
+  // The queue only starts new tasks when a task is added or completed, so give
+  // it a nudge to make use of any increase.
+  this.queue.process();
+  this.feedQueue();
+};
+
+/**
+ * Adjust the concurrency following the outcome of a request, if adaptive
+ * concurrency is enabled.
+ *
+ * Concurrency is halved on throttling and increased by one after as many
+ * successful requests in a row as the current concurrency.
+ *
+ * @param {Error|null} error The error resulting from the request, if any.
+ * @param {Number} startedAt When the request started.
+ */
+S3ConcurrentListObjectStream.prototype.adjustConcurrency = function (
+  error,
+  startedAt
+) {
+  if (!this.adaptiveConcurrency) {
+    return;
+  }
+
+  if (this.isThrottlingError(error)) {
+    // Requests already in flight at the time of the last decrease will tend
+    // to be throttled as well, and shouldn't cause further decreases.
+    if (startedAt < this.lastDecreaseAt) {
+      return;
+    }
+
+    this.lastDecreaseAt = Date.now();
+    this.setConcurrency(
+      Math.max(this.minConcurrency, Math.floor(this.queue.concurrency / 2)),
+      'throttled'
+    );
+  }
+  else if (!error) {
+    this.successCount++;
+
+    if (
+      this.successCount >= this.queue.concurrency &&
+      this.queue.concurrency < this.maxConcurrency
+    ) {
+      this.setConcurrency(this.queue.concurrency + 1, 'success');
+    }
+  }
+};
+
+/**
+ * Is this an error indicating that S3 is throttling requests?
+ *
+ * @param {Error|null} error An error.
+ * @return {Boolean} True if this is a throttling error.
+ */
+S3ConcurrentListObjectStream.prototype.isThrottlingError = function (error) {
+  return !!error && (
+    _.includes(constants.throttlingErrorCodes, error.code) ||
+    error.statusCode === 503
+  );
+};
+
+/**
+ * Obtain the scope of the requests made by a task for the rate limiter, which
+ * is the prefix actually being listed rather than that of the whole listing.
+ *
+ * @param {Object} options The options for the task.
+ * @return {Object} The bucket and prefix.
+ */
+S3ConcurrentListObjectStream.prototype.getRateLimitScope = function (options) {
+  return {
+    bucket: options.bucket,
+    prefix: options.prefix || ''
+  };
+};
+
+/**
+ * Make a request, retrying on error according to the retry policy.
+ *
+ * If adaptive concurrency is enabled, throttling errors are instead retried
+ * separately up to maxThrottleRetries times, using the backoff of the retry
+ * policy. Each retry is emitted as a 'retry' event. Each attempt waits on the
+ * rate limiter, if there is one.
+ *
+ * @param {Object} [inputStats] The statistics for the listing.
+ * @param {Object} scope The bucket and prefix of the request, for the rate
+ *   limiter.
+ * @param {Function} request Of the form function (callback), making the API
+ *   request.
+ * @param {Function} callback Of the form function (error, response).
+ */
+S3ConcurrentListObjectStream.prototype.requestWithRetry = function (
+  inputStats,
+  scope,
+  request,
+  callback
+) {
+  var self = this;
+  var attempts = 0;
+  var throttledAttempts = 0;
+
+  function retry (error, failedAttempt) {
+    self.stats.increment(inputStats, 'retries');
+    self.emit('retry', {
+      error: error,
+      attempt: failedAttempt
+    });
+
+    setTimeout(attempt, self.retryPolicy.getDelay(failedAttempt));
+  }
+
+  function attempt () {
+    self.waitForRateLimit(scope, send);
+  }
+
+  function send () {
+    var startedAt = Date.now();
+
+    if (self.destroyed) {
+      return;
     }
+
+    self.stats.requestStarted(inputStats);
+
+    self.sendRequest(request, function (error, response) {
+      self.stats.requestEnded(inputStats, error);
+      self.adjustConcurrency(error, startedAt);
+
+      if (!error) {
+        return callback(null, response);
+      }
+
+      if (self.adaptiveConcurrency && self.isThrottlingError(error)) {
+        throttledAttempts++;
+
+        if (throttledAttempts > self.maxThrottleRetries) {
+          return callback(error);
+        }
+
+        retry(error, throttledAttempts);
+        return;
+      }
+
+      attempts++;
+
+      if (
+        attempts >= self.retryPolicy.attempts ||
+        !self.retryPolicy.isRetryable(error)
+      ) {
+        return callback(error);
+      }
+
+      retry(error, attempts);
+    });
+  }
+
+  attempt();
+};
+
+/**
+ * Obtain a snapshot of the state of the listing, which can be used to resume
+ * it later.
+ *
+ * Each task is a prefix pending or in progress, and an in progress task has
+ * the continuation token for the next page to be requested. Objects from
+ * earlier pages have already been pushed to the stream.
+ *
+ * @return {Object} A state object that can be serialized as JSON.
+ */
+S3ConcurrentListObjectStream.prototype.getState = function () {
+  return _.cloneDeep({
+    tasks: _.map(this.tasks, function (task) {
+      return _.omit(task, ['s3Client', 's3Commands', 'resumeFrom', 'node', 'input']);
+    }),
+    completed: this.completed
   });
 };
 
+/**
+ * Emit the state, and save it to the state store if there is one.
+ *
+ * @param {Boolean} skipIfBusy If true, don't save the state if an earlier
+ *   save is still underway.
+ * @param {Function} callback Of the form function (error).
+ */
+S3ConcurrentListObjectStream.prototype.saveState = function (skipIfBusy, callback) {
+  var state = this.getState();
+
+  this.emit('state', state);
+
+  if (skipIfBusy && !this.stateSaveQueue.idle()) {
+    return callback();
+  }
+
+  this.stateSaveQueue.push(state, callback);
+};
+
+/**
+ * Start emitting and saving the state periodically, if configured to do so.
+ */
+S3ConcurrentListObjectStream.prototype.startStateTimer = function () {
+  var self = this;
+
+  if (!this.stateInterval || this.stateTimer) {
+    return;
+  }
+
+  this.stateTimer = setInterval(function () {
+    self.saveState(true, function (error) {
+      if (error) {
+        self.emit('error', error);
+      }
+    });
+  }, this.stateInterval);
+
+  // Don't hold the process open if the stream is abandoned.
+  this.stateTimer.unref();
+};
+
 /**
  * List the objects in a given 'directory' by common prefix, and all the
  * common prefixes for 'subdirectories'.
@@ -124,6 +707,13 @@ S3ConcurrentListObjectStream.prototype.sendToQueue = function (options) {
  *   of keys, with the token showing the start point.
  * @param {Number} [options.maxKeys] Maximum number of keys to return per
  *   request. Defaults to 1000.
+ * @param {String} [options.startAfter] If set, only list keys after this key.
+ * @param {String} [options.requestPayer] Set to 'requester' to list a
+ *   requester pays bucket.
+ * @param {String} [options.expectedBucketOwner] The account ID expected to own
+ *   the bucket.
+ * @param {String} [options.encodingType] Set to 'url' to have keys URL encoded
+ *   in responses, and decoded here.
  * @param {Function} callback - Callback of the form
     function (error, nextMarker, Object[], String[]).
  */
@@ -139,11 +729,23 @@ S3ConcurrentListObjectStream.prototype.listDirectoryPage = function (
     Prefix: options.prefix
   };
 
-  // S3 operations have a small but significant error rate.
-  async.retry(
-    3,
-    function (asyncCallback) {
-      options.s3Client.listObjectsV2(params, asyncCallback);
+  if (options.startAfter !== undefined) {
+    params.StartAfter = options.startAfter;
+  }
+
+  S3ListObjectStream.addCommonParams(params, options);
+
+  this.requestWithRetry(
+    _.get(options, 'input.stats'),
+    this.getRateLimitScope(options),
+    function (requestCallback) {
+      return S3ClientAdapter.request(
+        options.s3Client,
+        options.s3Commands,
+        'listObjectsV2',
+        params,
+        requestCallback
+      );
     },
     function (error, response) {
       var continuationToken;
@@ -152,6 +754,8 @@ S3ConcurrentListObjectStream.prototype.listDirectoryPage = function (
         return callback(error);
       }
 
+      S3ListObjectStream.decodeResponse(response, options.encodingType);
+
       // Check to see if there are yet more objects to be obtained, and if so
       // return the continuationToken for use in the next request.
       if (response.IsTruncated) {
@@ -161,7 +765,7 @@ S3ConcurrentListObjectStream.prototype.listDirectoryPage = function (
       callback(
         null,
         continuationToken,
-        response.Contents,
+        response.Contents || [],
         _.map(response.CommonPrefixes, function (prefixObject) {
           return prefixObject.Prefix;
         })
@@ -170,6 +774,258 @@ S3ConcurrentListObjectStream.prototype.listDirectoryPage = function (
   );
 };
 
+/**
+ * Find keys that split a key range into smaller ranges.
+ *
+ * The split points are the shortest strings formed by appending one of the
+ * partition characters to the leading characters of the start of the range
+ * that fall inside the range.
+ *
+ * @param {String} startAfter The range starts after this key.
+ * @param {String|undefined} endAt The range ends at and includes this key, or
+ *   is unbounded if undefined.
+ * @param {String} prefix The prefix shared by all keys in the listing.
+ * @param {String} characters The partition characters.
+ * @return {String[]} The split points in ascending order, possibly empty.
+ */
+S3ConcurrentListObjectStream.prototype.getKeyRangeSplitPoints = function (
+  startAfter,
+  endAt,
+  prefix,
+  characters
+) {
+  var depth;
+  var splitPoints;
+
+  for (depth = prefix.length; depth <= startAfter.length; depth++) {
+    splitPoints = _.chain(
+      characters.split('')
+    ).map(function (character) {
+      return startAfter.slice(0, depth) + character;
+    }).filter(function (splitPoint) {
+      return splitPoint > startAfter && (endAt === undefined || splitPoint < endAt);
+    }).sortBy().sortedUniq().value();
+
+    if (splitPoints.length) {
+      return splitPoints;
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Split the remainder of a dense key range, after the given key, into smaller
+ * ranges. The task continues with the first of these ranges and new tasks are
+ * spawned for the rest.
+ *
+ * @param {Object} options The options for the task listing the range.
+ * @param {String} lastKey The last key listed so far in the range.
+ */
+S3ConcurrentListObjectStream.prototype.splitKeyRange = function (options, lastKey) {
+  var self = this;
+  var splitPoints = this.getKeyRangeSplitPoints(
+    lastKey,
+    options.endAt,
+    options.prefix || '',
+    options.partitionCharacters
+  );
+
+  if (!splitPoints.length) {
+    return;
+  }
+
+  _.each(splitPoints, function (splitPoint, index) {
+    var rangeOptions = _.chain(
+      {}
+    ).extend(
+      options,
+      {
+        startAfter: splitPoint,
+        endAt: splitPoints[index + 1] === undefined ? options.endAt : splitPoints[index + 1]
+      }
+    ).omit(
+      ['continuationToken', 'node']
+    ).value();
+
+    // In ordered mode, the new ranges follow everything else in this range,
+    // but precede any ranges split from it earlier, which start after its end.
+    if (options.node) {
+      rangeOptions.node = self.createOrderedNode(options.node);
+      options.node.trailing.splice(index, 0, rangeOptions.node);
+    }
+
+    self.sendToQueue(rangeOptions);
+  });
+
+  options.endAt = splitPoints[0];
+};
+
+/**
+ * Create a node in the tree used to put the listing in order.
+ *
+ * @param {Object} [parent] The parent node.
+ * @return {Object} The node.
+ */
+S3ConcurrentListObjectStream.prototype.createOrderedNode = function (parent) {
+  return {
+    parent: parent,
+    // Objects and child nodes in key order, and the position of the next to
+    // be emitted.
+    entries: [],
+    position: 0,
+    // Child nodes that follow all of the entries.
+    trailing: [],
+    complete: false,
+    // The task for this node, if waiting for room in the buffer.
+    parkedTask: undefined
+  };
+};
+
+/**
+ * Add a page of listing results to a node in ordered mode, and emit whatever
+ * can now be emitted in order.
+ *
+ * @param {Object} options The options for the task, including its node.
+ * @param {Object[]} s3Objects The objects listed.
+ * @param {Object[]} children Child nodes for the common prefixes listed, in
+ *   the form { key: commonPrefix, node: node }.
+ * @param {Boolean} isComplete True if this was the last page for the task.
+ * @return {Boolean} True if the consumer has fallen behind.
+ */
+S3ConcurrentListObjectStream.prototype.addOrderedEntries = function (
+  options,
+  s3Objects,
+  children,
+  isComplete
+) {
+  var node = options.node;
+  // All of the keys under a common prefix sort after the prefix itself and
+  // before anything that sorts after it, so the common prefix stands in for
+  // them until its node is emitted.
+  var entries = _.sortBy(_.map(s3Objects, function (object) {
+    return {
+      key: object.Key,
+      object: object,
+      inputStats: _.get(options, 'input.stats')
+    };
+  }).concat(children), 'key');
+
+  Array.prototype.push.apply(node.entries, entries);
+  this.orderedBufferCount += s3Objects.length;
+
+  if (isComplete) {
+    node.complete = true;
+    _.each(node.trailing, function (child) {
+      node.entries.push({
+        node: child
+      });
+    });
+    node.trailing = [];
+  }
+
+  return this.releaseOrdered();
+};
+
+/**
+ * Emit buffered objects in order, up to the first that isn't yet listed or
+ * until the consumer falls behind.
+ *
+ * @return {Boolean} True if the consumer has fallen behind.
+ */
+S3ConcurrentListObjectStream.prototype.releaseOrdered = function () {
+  var self = this;
+  var entry;
+  var isFull = false;
+  var node = this.orderedCursor;
+  var onOrderedRelease;
+
+  while (node && !isFull) {
+    if (node.position < node.entries.length) {
+      entry = node.entries[node.position];
+
+      if (entry.node) {
+        node = entry.node;
+      }
+      else {
+        node.entries[node.position] = undefined;
+        node.position++;
+        this.orderedBufferCount--;
+        isFull = this.pushObject(entry.object, entry.inputStats) === false;
+      }
+    }
+    // Once everything in a node is emitted, carry on with its parent.
+    else if (node.complete) {
+      if (node.parent) {
+        node.parent.entries[node.parent.position] = undefined;
+        node.parent.position++;
+      }
+      node = node.parent;
+    }
+    else {
+      break;
+    }
+  }
+
+  this.orderedCursor = node;
+
+  // Tasks waiting for room in the buffer can continue if the cursor has
+  // reached them or there is now room.
+  _.each(_.filter(this.parkedNodes, function (parkedNode) {
+    return parkedNode === node || self.orderedBufferCount < self.orderedBufferSize;
+  }), function (parkedNode) {
+    self.unparkNode(parkedNode);
+  });
+
+  if (!node && this.onOrderedRelease) {
+    onOrderedRelease = this.onOrderedRelease;
+    this.onOrderedRelease = undefined;
+    onOrderedRelease();
+  }
+
+  return isFull;
+};
+
+/**
+ * Should this task wait for room in the buffer before listing its first or
+ * next page?
+ *
+ * @param {Object} options The options for the task.
+ * @return {Boolean} True if the task should wait.
+ */
+S3ConcurrentListObjectStream.prototype.shouldParkTask = function (options) {
+  return !!options.node &&
+    options.node !== this.orderedCursor &&
+    this.orderedBufferCount >= this.orderedBufferSize;
+};
+
+/**
+ * Set aside a task until there is room in the buffer. The task remains in the
+ * state, but frees up its place in the queue for others.
+ *
+ * @param {Object} options The options for the task.
+ */
+S3ConcurrentListObjectStream.prototype.parkTask = function (options) {
+  // This is removed again when the task completes in the queue.
+  this.trackTask(options);
+  options.node.parkedTask = options;
+  this.parkedNodes.push(options.node);
+};
+
+/**
+ * Send a parked task back to the queue.
+ *
+ * @param {Object} node The node for the task.
+ */
+S3ConcurrentListObjectStream.prototype.unparkNode = function (node) {
+  var options = node.parkedTask;
+
+  node.parkedTask = undefined;
+  _.pull(this.parkedNodes, node);
+  this.sendToQueue(options, true);
+  this.untrackTask(options);
+};
+
 /**
  * List the objects in a given 'directory' by common prefix, and spawn new tasks
  * to list all child 'directories'.
@@ -185,6 +1041,13 @@ S3ConcurrentListObjectStream.prototype.listDirectoryPage = function (
  *   request. Defaults to 1000.
  * @param {String} [options.prefix] If present, only list objects with keys that
  *   match the prefix.
+ * @param {String} [options.partitionMode] If 'keyRange', then list a key
+ *   range rather than a 'directory'.
+ * @param {String} [options.startAfter] If present, the key range starts after
+ *   this key.
+ * @param {String} [options.endAt] If present, the key range ends at and
+ *   includes this key.
+ * @param {Object} [options.node] In ordered mode, the node for this task.
  * @param {Function} callback Of the form function (error).
  */
 S3ConcurrentListObjectStream.prototype.listDirectoryAndRecuse = function (
@@ -206,10 +1069,39 @@ S3ConcurrentListObjectStream.prototype.listDirectoryAndRecuse = function (
     self.listDirectoryPage(
       options,
       function (error, nextContinuationToken, s3Objects, commonPrefixes) {
+        var children = [];
+        var isFull = false;
+        var objectsInRange;
+
         if (error) {
           return callback(error);
         }
 
+        // Keys past the end of the range belong to other tasks, and once one
+        // is reached this range is complete.
+        if (options.endAt !== undefined) {
+          objectsInRange = _.filter(s3Objects, function (object) {
+            return object.Key <= options.endAt;
+          });
+
+          if (objectsInRange.length < s3Objects.length) {
+            nextContinuationToken = undefined;
+          }
+
+          s3Objects = objectsInRange;
+        }
+
+        // A full page suggests a dense range that is worth splitting. The
+        // remainder is split again on later pages, as the split points get
+        // closer together, so that this task doesn't keep a dense range.
+        if (
+          options.partitionMode === 'keyRange' &&
+          nextContinuationToken &&
+          s3Objects.length
+        ) {
+          self.splitKeyRange(options, _.last(s3Objects).Key);
+        }
+
         // Each common prefix is only returned once, even across requests using
         // continuation tokens for 'subdirectories' containing many files.
         _.each(commonPrefixes, function (commonPrefix) {
@@ -221,31 +1113,101 @@ S3ConcurrentListObjectStream.prototype.listDirectoryAndRecuse = function (
               prefix: commonPrefix
             }
           ).omit(
-            'continuationToken'
+            ['continuationToken', 'node']
           ).value();
 
+          if (options.node) {
+            subDirectoryOptions.node = self.createOrderedNode(options.node);
+            children.push({
+              key: commonPrefix,
+              node: subDirectoryOptions.node
+            });
+          }
+
           self.sendToQueue(subDirectoryOptions);
         });
 
-        // Send any S3 object definitions to be piped onwards.
-        s3Objects.forEach(function (object) {
+        _.each(s3Objects, function (object) {
           object.Bucket = options.bucket;
-          self.push(object);
         });
 
-        // If there are more objects, go get them.
-        if (nextContinuationToken) {
-          listRecusively(nextContinuationToken);
+        // Send any S3 object definitions to be piped onwards, noting whether
+        // the consumer is keeping up. In ordered mode they wait until all of
+        // the objects before them have been sent.
+        if (options.node) {
+          isFull = self.addOrderedEntries(
+            options,
+            s3Objects,
+            children,
+            !nextContinuationToken
+          );
+        }
+        else {
+          s3Objects.forEach(function (object) {
+            if (self.pushObject(object, _.get(options, 'input.stats')) === false) {
+              isFull = true;
+            }
+          });
+        }
+
+        self.emitProgress();
+
+        // If the consumer has fallen behind, wait for it before continuing.
+        // This page is already sent, so a state saved meanwhile must resume
+        // from the next page.
+        if (isFull) {
+          options.continuationToken = nextContinuationToken;
+          self.waitForRead(function () {
+            continueListing(nextContinuationToken);
+          });
         }
         else {
-          callback();
+          continueListing(nextContinuationToken);
         }
       }
     );
   }
 
-  // Start the recursive listing at the beginning, with no continuationToken.
-  listRecusively();
+  /**
+   * Continue on to the next page of the listing, if there is one.
+   *
+   * @param {String|undefined} nextContinuationToken The token for the next
+   *   page, or undefined if this listing is complete.
+   */
+  function continueListing (nextContinuationToken) {
+    // In ordered mode, if too many objects are buffered and this task is
+    // ahead of the objects being emitted, then wait for room.
+    if (nextContinuationToken && self.shouldParkTask(options)) {
+      options.continuationToken = nextContinuationToken;
+      self.parkTask(options);
+      callback();
+    }
+    // If concurrency has been reduced, then hand the rest of this task back
+    // to the queue, so that it waits its turn to run again.
+    else if (nextContinuationToken && self.queue.running() > self.queue.concurrency) {
+      options.continuationToken = nextContinuationToken;
+      self.sendToQueue(options, true);
+      callback();
+    }
+    // If there are more objects, go get them.
+    else if (nextContinuationToken) {
+      listRecusively(nextContinuationToken);
+    }
+    else {
+      callback();
+    }
+  }
+
+  // In ordered mode, a new task ahead of the objects being emitted also waits
+  // for room, so that the buffer is bounded however many tasks are spawned.
+  if (self.shouldParkTask(options)) {
+    self.parkTask(options);
+    return callback();
+  }
+
+  // Start the recursive listing at the beginning, with no continuationToken,
+  // unless this task is being resumed from a saved state.
+  listRecusively(options.continuationToken);
 };
 
 /**
@@ -263,13 +1225,22 @@ S3ConcurrentListObjectStream.prototype.listDirectoryAndRecuse = function (
  *   request. Defaults to 1000.
  * @param {String} [options.prefix] If present, only list objects with keys that
  *   match the prefix.
- * @param {String} encoding Irrelevant since this is an object stream.
- * @param {Function} callback Invoked after this listing is processed.
+ * @param {String} [options.partitionMode] Defaults to 'delimiter'. If
+ *   'keyRange', split the listing by key ranges rather than common prefixes.
+ * @param {String} [options.partitionCharacters] Defaults to the hexadecimal
+ *   digits. Characters used to choose points at which to split key ranges.
+ * @param {Object} [options.resumeFrom] A state object from an earlier listing.
+ * @param {Function} callback Invoked once this listing is started.
  */
 S3ConcurrentListObjectStream.prototype.processIncomingObject = function (
   options,
   callback
 ) {
+  var self = this;
+  var input;
+  var listing;
+  var resumedTasks;
+
   if (!options || typeof options !== 'object') {
     return callback(new Error('An object is expected.'));
   }
@@ -280,18 +1251,84 @@ S3ConcurrentListObjectStream.prototype.processIncomingObject = function (
     return callback(new Error('Missing options.bucket'));
   }
 
-  options.delimiter = options.delimiter || '/';
+  if (options.partitionMode === 'keyRange') {
+    // Key ranges are listed flat, without grouping by delimiter.
+    options.delimiter = undefined;
+    options.partitionCharacters = options.partitionCharacters || '0123456789abcdef';
+  }
+  else if (options.partitionMode && options.partitionMode !== 'delimiter') {
+    return callback(new Error('Invalid options.partitionMode, expected delimiter or keyRange'));
+  }
+  else {
+    options.delimiter = options.delimiter || '/';
+  }
+
+  // Record the prefix of the listing in all of its tasks, so that they can be
+  // matched up with the listing when resuming.
+  options.rootPrefix = options.prefix || '';
+
+  listing = {
+    bucket: options.bucket,
+    prefix: options.rootPrefix
+  };
+
+  if (options.resumeFrom && _.find(options.resumeFrom.completed, listing)) {
+    this.completed.push(listing);
+    return callback();
+  }
 
-  // Reset the global state for the next item.
-  //
-  // Since incoming items are processed in order, the next not starting until
-  // the callback for the first invoked, it is safe to manipulate the global
-  // state in this way.
-  this.commonPrefixes = {};
-  this.queue.drain = _.once(callback);
+  resumedTasks = _.filter(_.get(options.resumeFrom, 'tasks'), {
+    bucket: listing.bucket,
+    rootPrefix: listing.prefix
+  });
+
+  // The order of the objects still to be listed by a set of tasks can't be
+  // known until they are listed.
+  if (this.ordered && resumedTasks.length) {
+    return callback(new Error('Resuming from a saved state is not supported in ordered mode'));
+  }
+
+  // Every task for this listing refers to it, so that the listing is complete
+  // when none of its tasks are left outstanding.
+  input = {
+    bucket: listing.bucket,
+    prefix: listing.prefix,
+    outstanding: 0,
+    pending: [],
+    stats: this.stats.addInput(listing.bucket, listing.prefix)
+  };
+  this.inputs.push(input);
 
-  // Start things going.
-  this.sendToQueue(options);
+  this.startStateTimer();
+
+  // Start things going, either from the top or from the tasks outstanding in
+  // the saved state.
+  if (resumedTasks.length) {
+    _.each(resumedTasks, function (task) {
+      self.sendToQueue(_.extend({}, task, _.pick(options, [
+        's3Client',
+        's3Commands'
+      ]), {
+        input: input
+      }));
+    });
+  }
+  else {
+    options = _.omit(options, 'resumeFrom');
+    options.input = input;
+
+    if (this.ordered) {
+      options.node = this.createOrderedNode(this.orderedRoot);
+      this.orderedRoot.entries.push({
+        node: options.node
+      });
+    }
+
+    this.sendToQueue(options);
+  }
+
+  // Move on to the next incoming object without waiting for this listing.
+  callback();
 };
 
 //---------------------------------------------------------------------------
@@ -304,7 +1341,7 @@ S3ConcurrentListObjectStream.prototype.processIncomingObject = function (
  * @param {Object} data A listObjects configuration object since this is an
  *   object stream.
  * @param {String} encoding Irrelevant since this is an object stream.
- * @param {Function} callback Invoked after this listing is processed.
+ * @param {Function} callback Invoked once this listing is started.
  */
 S3ConcurrentListObjectStream.prototype._transform = function (
   data,
@@ -314,6 +1351,97 @@ S3ConcurrentListObjectStream.prototype._transform = function (
   this.processIncomingObject(data, callback);
 };
 
+/**
+ * Implementation of the read method, invoked when the consumer wants more
+ * data. Emits any objects buffered in ordered mode, continues the tasks that
+ * were waiting for the consumer, and resumes taking tasks from the queue.
+ *
+ * @param {Number} size Irrelevant since this is an object stream.
+ */
+S3ConcurrentListObjectStream.prototype._read = function (size) {
+  var readWaiters = this.readWaiters;
+
+  this.readWaiters = [];
+  this.queue.resume();
+  this.feedQueue();
+
+  if (this.orderedCursor) {
+    this.releaseOrdered();
+  }
+
+  readWaiters.forEach(function (readWaiter) {
+    readWaiter();
+  });
+
+  S3ConcurrentListObjectStream.super_.prototype._read.call(this, size);
+};
+
+/**
+ * Implementation of the flush method, invoked after all of the incoming objects
+ * are processed. Waits for all of the listings to complete, and the final
+ * state is saved before the stream ends.
+ *
+ * @param {Function} callback Invoked when the stream can end.
+ */
+S3ConcurrentListObjectStream.prototype._flush = function (callback) {
+  var self = this;
+
+  /**
+   * Save the final state, if there is a state timer, and end.
+   */
+  function finish () {
+    self.emitProgress(true);
+
+    if (!self.stateTimer) {
+      return callback();
+    }
+
+    clearInterval(self.stateTimer);
+    self.stateTimer = undefined;
+    self.saveState(false, callback);
+  }
+
+  /**
+   * Wait for any objects still buffered in ordered mode to be emitted.
+   */
+  function release () {
+    if (!self.ordered) {
+      return finish();
+    }
+
+    self.orderedRoot.complete = true;
+    self.onOrderedRelease = finish;
+    self.releaseOrdered();
+  }
+
+  if (this.inputs.length) {
+    this.onInputsComplete = release;
+  }
+  else {
+    release();
+  }
+};
+
+/**
+ * Implementation of the destroy method. Stops the listing, discarding the
+ * tasks waiting in the queue, and aborts any API requests in progress.
+ *
+ * @param {Error|null} error The error the stream is destroyed with, if any.
+ * @param {Function} callback Invoked when the stream is destroyed.
+ */
+S3ConcurrentListObjectStream.prototype._destroy = function (error, callback) {
+  this.stopListeningForAbort();
+  this.queue.kill();
+  this.readWaiters = [];
+  _.each(this.inputs, function (input) {
+    input.pending = [];
+  });
+  clearInterval(this.stateTimer);
+  this.stateTimer = undefined;
+  this.abortRequests();
+  callback(error);
+};
+
 //---------------------------------------------------------------------------
 // Export class constructor.
 //---------------------------------------------------------------------------
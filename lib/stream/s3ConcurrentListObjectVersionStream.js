@@ -0,0 +1,163 @@
+/**
+ * @fileOverview S3ConcurrentListObjectVersionStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var S3ClientAdapter = require('../s3ClientAdapter');
+var S3ConcurrentListObjectStream = require('./s3ConcurrentListObjectStream');
+var S3ListObjectStream = require('./s3ListObjectStream');
+var S3ListObjectVersionStream = require('./s3ListObjectVersionStream');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to list S3 object versions and delete markers via
+ * multiple concurrent requests.
+ *
+ * This works in the same way as S3ConcurrentListObjectStream, descending
+ * through 'directories' defined by splitting keys with the delimiter, but
+ * lists versions and delete markers rather than current objects.
+ *
+ * Pipe in objects of the following form:
+ *
+ * {
+ *   s3Client: new AWS.S3(),
+ *   // Optional. For a v3 client, the @aws-sdk/client-s3 module. Only needed
+ *   // if this package can't load it.
+ *   s3Commands: require('@aws-sdk/client-s3'),
+ *   bucket: 'exampleBucket',
+ *   // Optional. Used to find common prefixes that can be listed concurrently.
+ *   // Defaults to '/'.
+ *   delimiter: '/',
+ *   // Optional, defaults to 1000. How many versions to return in one API
+ *   // request under the hood.
+ *   maxKeys: 1000,
+ *   // Optional. If present, only list versions with keys matching the prefix.
+ *   prefix: 'examplePrefix',
+ *   // Optional. Set to 'requester' to list a requester pays bucket.
+ *   requestPayer: 'requester',
+ *   // Optional. The account ID expected to own the bucket. The listing fails
+ *   // if the bucket is owned by a different account.
+ *   expectedBucketOwner: '111122223333',
+ *   // Optional. Set to 'url' to have S3 URL encode keys in its responses,
+ *   // which is needed for keys containing some control characters. Keys and
+ *   // prefixes are decoded before they are emitted.
+ *   encodingType: 'url'
+ * }
+ *
+ * Pipe out the same version and delete marker objects as the
+ * S3ListObjectVersionStream, distinguished by the type property:
+ *
+ * {
+ *   Bucket: 'exampleBucket',
+ *   Key: ...
+ *   VersionId: ...
+ *   IsLatest: ...
+ *   ...
+ *   type: 'version'
+ * }
+ *
+ * @param {Object} options Standard stream options, plus the following.
+ * @param {Number} [options.maxConcurrency] Defaults to 15. Number of
+ *   concurrent API requests to make.
+ */
+function S3ConcurrentListObjectVersionStream (options) {
+  S3ConcurrentListObjectVersionStream.super_.call(this, options);
+}
+
+util.inherits(S3ConcurrentListObjectVersionStream, S3ConcurrentListObjectStream);
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * List the versions and delete markers in a given 'directory' by common
+ * prefix, and all the common prefixes for 'subdirectories'.
+ *
+ * @param {Object} options
+ * @param {AWS.S3} options.s3Client An AWS client instance.
+ * @param {String} options.bucket The bucket name.
+ * @param {Number} options.delimiter Used to find common prefixes to split out
+ *   requests for object listing. Defaults to '/'.
+ * @param {String} [options.prefix] If set only return keys beginning with
+ *   the prefix value.
+ * @param {Object} [options.continuationToken] If set then list only a paged
+ *   set of versions, with the keyMarker and versionIdMarker properties of the
+ *   token showing the start point.
+ * @param {Number} [options.maxKeys] Maximum number of versions to return per
+ *   request. Defaults to 1000.
+ * @param {String} [options.startAfter] If set, only list versions of keys
+ *   after this key.
+ * @param {String} [options.requestPayer] Set to 'requester' to list a
+ *   requester pays bucket.
+ * @param {String} [options.expectedBucketOwner] The account ID expected to own
+ *   the bucket.
+ * @param {String} [options.encodingType] Set to 'url' to have keys URL encoded
+ *   in responses, and decoded here.
+ * @param {Function} callback - Callback of the form
+    function (error, nextContinuationToken, Object[], String[]).
+ */
+S3ConcurrentListObjectVersionStream.prototype.listDirectoryPage = function (
+  options,
+  callback
+) {
+  var params = {
+    Bucket: options.bucket,
+    Delimiter: options.delimiter,
+    // Key ranges start after a given key, which is the same as the key marker
+    // for the first page.
+    KeyMarker: options.continuationToken ?
+      options.continuationToken.keyMarker :
+      options.startAfter,
+    VersionIdMarker: _.get(options.continuationToken, 'versionIdMarker'),
+    MaxKeys: options.maxKeys,
+    Prefix: options.prefix
+  };
+
+  S3ListObjectStream.addCommonParams(params, options);
+
+  this.requestWithRetry(
+    _.get(options, 'input.stats'),
+    this.getRateLimitScope(options),
+    function (requestCallback) {
+      return S3ClientAdapter.request(
+        options.s3Client,
+        options.s3Commands,
+        'listObjectVersions',
+        params,
+        requestCallback
+      );
+    },
+    function (error, response) {
+      if (error) {
+        return callback(error);
+      }
+
+      S3ListObjectStream.decodeResponse(response, options.encodingType);
+
+      callback(
+        null,
+        S3ListObjectVersionStream.getNextMarker(response),
+        S3ListObjectVersionStream.mergeVersions(response),
+        _.map(response.CommonPrefixes, function (prefixObject) {
+          return prefixObject.Prefix;
+        })
+      );
+    }
+  );
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3ConcurrentListObjectVersionStream;
@@ -0,0 +1,526 @@
+/**
+ * @fileOverview S3CopyObjectStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var async = require('async');
+var _ = require('lodash');
+
+// Local.
+var constants = require('../constants');
+var S3ObjectOperationStream = require('./s3ObjectOperationStream');
+var S3RestoreObjectStream = require('./s3RestoreObjectStream');
+
+// The largest object that can be copied with a single copyObject request, and
+// the largest part of a multipart upload.
+var MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024;
+// The smallest part of a multipart upload, other than the last.
+var MIN_PART_SIZE = 5 * 1024 * 1024;
+// The most parts a multipart upload can have.
+var MAX_PART_COUNT = 10000;
+// How many parts of an object are copied at the same time.
+var PART_COPY_CONCURRENCY = 4;
+
+// The headObject response properties that are set when an object is created,
+// and so must be set again if not copied by S3.
+var OBJECT_PROPERTIES = [
+  'CacheControl',
+  'ContentDisposition',
+  'ContentEncoding',
+  'ContentLanguage',
+  'ContentType',
+  'Expires',
+  'Metadata',
+  'WebsiteRedirectLocation'
+];
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to copy listed S3 objects to a target bucket.
+ *
+ * Pipe in S3 object definitions from S3ListObjectStream or another listing
+ * stream. Each object is copied to the target bucket under the key returned by
+ * the rewriteKey function. At least one of these must be provided. If an
+ * object has a VersionId, that version is copied. Delete markers are skipped,
+ * as are objects in the archive storage classes that have not been restored,
+ * which can't be copied. Restored objects are copied.
+ *
+ * Objects up to 5GB are copied with the copyObject API, and larger objects
+ * with a multipart upload made of uploadPartCopy requests. Metadata, tags and
+ * storage class are preserved unless overridden. If the target object already
+ * exists with the same ETag and size, the copy is skipped. This will not be
+ * the case for objects previously copied by multipart upload, as the ETag then
+ * differs from the source.
+ *
+ * An object that can't be copied because of an error that is not retryable,
+ * such as AccessDenied, is reported in a failed result rather than stopping
+ * the stream.
+ *
+ * Pipe out a result for each object:
+ *
+ * {
+ *   // 'copied', 'skipped' or 'failed'.
+ *   status: 'copied',
+ *   Bucket: 'sourceBucket',
+ *   Key: 'folder1/file1',
+ *   VersionId: ...
+ *   Size: 1024,
+ *   targetBucket: 'targetBucket',
+ *   targetKey: 'folder2/file1',
+ *   // For copied objects, 'copyObject' or 'uploadPartCopy'.
+ *   method: 'copyObject',
+ *   // For copied objects, the ETag of the new object.
+ *   ETag: ...
+ *   // For skipped objects, 'exists', 'deleteMarker' or 'archived'.
+ *   reason: ...
+ *   // For failed objects, the code and message of the error.
+ *   code: 'AccessDenied',
+ *   message: 'Access Denied'
+ * }
+ *
+ * @param {Object} options Options for S3ObjectOperationStream, plus the
+ *   following.
+ * @param {String} [options.targetBucket] The bucket to copy objects to.
+ *   Defaults to the bucket of each object.
+ * @param {Function} [options.rewriteKey] Of the form function (key, s3Object),
+ *   returning the target key. Defaults to keeping the same key.
+ * @param {Object|Function} [options.metadata] If provided, replaces the
+ *   metadata of copied objects. Either the metadata, or a function of the form
+ *   function (metadata, s3Object) returning it from the source metadata.
+ * @param {String} [options.storageClass] If provided, the storage class of
+ *   copied objects. Defaults to the storage class of the source object.
+ * @param {Boolean} [options.skipExisting] Defaults to true. If false, copy
+ *   objects even if the target already exists with the same ETag and size.
+ * @param {Number} [options.partSize] Defaults to 512MB. The size of the parts
+ *   for objects copied with a multipart upload. This is increased as needed to
+ *   keep within the limit on the number of parts.
+ * @param {Number} [options.multipartThreshold] Defaults to 5GB, the largest
+ *   object that copyObject can copy. Objects larger than this are copied with a
+ *   multipart upload.
+ */
+function S3CopyObjectStream (options) {
+  options = options || {};
+
+  if (!options.targetBucket && !options.rewriteKey) {
+    throw new Error('Missing options.targetBucket or options.rewriteKey');
+  }
+
+  if (
+    options.partSize !== undefined &&
+    !(options.partSize >= MIN_PART_SIZE && options.partSize <= MAX_COPY_SIZE)
+  ) {
+    throw new Error('Invalid options.partSize, expected a number from 5MB to 5GB');
+  }
+
+  if (
+    options.multipartThreshold !== undefined &&
+    !(options.multipartThreshold > 0 && options.multipartThreshold <= MAX_COPY_SIZE)
+  ) {
+    throw new Error('Invalid options.multipartThreshold, expected a number up to 5GB');
+  }
+
+  this.targetBucket = options.targetBucket;
+  this.rewriteKey = options.rewriteKey || _.identity;
+  this.metadata = options.metadata;
+  this.storageClass = options.storageClass;
+  this.skipExisting = options.skipExisting !== false;
+  this.partSize = options.partSize || 512 * 1024 * 1024;
+  this.multipartThreshold = options.multipartThreshold || MAX_COPY_SIZE;
+
+  S3CopyObjectStream.super_.call(this, _.omit(options, [
+    'targetBucket',
+    'rewriteKey',
+    'metadata',
+    'storageClass',
+    'skipExisting',
+    'partSize',
+    'multipartThreshold'
+  ]));
+}
+
+util.inherits(S3CopyObjectStream, S3ObjectOperationStream);
+
+//---------------------------------------------------------------------------
+// Functions.
+//---------------------------------------------------------------------------
+
+/**
+ * Obtain the CopySource parameter for an object.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @return {String} The bucket, URL-encoded key and version.
+ */
+S3CopyObjectStream.getCopySource = function (s3Object) {
+  var copySource = s3Object.Bucket + '/' + encodeURIComponent(s3Object.Key);
+
+  if (s3Object.VersionId !== undefined) {
+    copySource += '?versionId=' + encodeURIComponent(s3Object.VersionId);
+  }
+
+  return copySource;
+};
+
+/**
+ * Obtain the byte ranges of the parts to copy an object in.
+ *
+ * @param {Number} size The size of the object.
+ * @param {Number} partSize The preferred part size.
+ * @return {String[]} The CopySourceRange parameters for the parts.
+ */
+S3CopyObjectStream.getPartRanges = function (size, partSize) {
+  var ranges = [];
+  var start;
+
+  partSize = Math.max(partSize, Math.ceil(size / MAX_PART_COUNT));
+
+  for (start = 0; start < size; start += partSize) {
+    ranges.push('bytes=' + start + '-' + (Math.min(start + partSize, size) - 1));
+  }
+
+  return ranges;
+};
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Obtain the target of the copy for an object.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @return {Object} The target Bucket and Key.
+ */
+S3CopyObjectStream.prototype.getTarget = function (s3Object) {
+  return {
+    Bucket: this.targetBucket || s3Object.Bucket,
+    Key: this.rewriteKey(s3Object.Key, s3Object)
+  };
+};
+
+/**
+ * Determine whether an object is in an archive storage class and has not been
+ * restored, and so can't be copied. Archived objects are checked with the
+ * headObject API, as a restored object is listed with the same storage class.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Function} callback Of the form function (error, Boolean).
+ */
+S3CopyObjectStream.prototype.isArchived = function (s3Object, callback) {
+  var params = _.omitBy({
+    Bucket: s3Object.Bucket,
+    Key: s3Object.Key,
+    VersionId: s3Object.VersionId
+  }, _.isUndefined);
+
+  if (!_.includes(constants.archiveStorageClasses, s3Object.StorageClass)) {
+    return callback(null, false);
+  }
+
+  this.request('headObject', params, function (error, response) {
+    var restore;
+
+    if (error) {
+      return callback(error);
+    }
+
+    restore = S3RestoreObjectStream.parseRestoreHeader(response.Restore);
+    callback(null, !restore || restore.ongoing);
+  });
+};
+
+/**
+ * Determine whether the target already exists with the same ETag and size as
+ * the object.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Object} target The target Bucket and Key.
+ * @param {Function} callback Of the form function (error, Boolean).
+ */
+S3CopyObjectStream.prototype.isCopied = function (s3Object, target, callback) {
+  if (!this.skipExisting) {
+    return callback(null, false);
+  }
+
+  this.request('headObject', target, function (error, response) {
+    if (error && S3ObjectOperationStream.isNotFoundError(error)) {
+      return callback(null, false);
+    }
+    if (error) {
+      return callback(error);
+    }
+
+    callback(
+      null,
+      response.ETag === s3Object.ETag && response.ContentLength === s3Object.Size
+    );
+  });
+};
+
+/**
+ * Obtain the properties to set on the target object, which is necessary when
+ * metadata is replaced or a multipart upload is used, as S3 does not copy them
+ * in those cases.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Boolean} withTags If true, also obtain the tags.
+ * @param {Function} callback Of the form function (error, Object).
+ */
+S3CopyObjectStream.prototype.getObjectProperties = function (s3Object, withTags, callback) {
+  var self = this;
+  var params = {
+    Bucket: s3Object.Bucket,
+    Key: s3Object.Key
+  };
+
+  if (s3Object.VersionId !== undefined) {
+    params.VersionId = s3Object.VersionId;
+  }
+
+  async.parallel({
+    head: function (asyncCallback) {
+      self.request('headObject', params, asyncCallback);
+    },
+    tagging: function (asyncCallback) {
+      if (!withTags) {
+        return asyncCallback();
+      }
+
+      self.request('getObjectTagging', params, asyncCallback);
+    }
+  }, function (error, responses) {
+    var properties;
+
+    if (error) {
+      return callback(error);
+    }
+
+    properties = _.pick(responses.head, OBJECT_PROPERTIES);
+
+    if (typeof self.metadata === 'function') {
+      properties.Metadata = self.metadata(properties.Metadata || {}, s3Object);
+    }
+    else if (self.metadata) {
+      properties.Metadata = self.metadata;
+    }
+
+    if (responses.tagging && responses.tagging.TagSet.length) {
+      properties.Tagging = _.map(responses.tagging.TagSet, function (tag) {
+        return encodeURIComponent(tag.Key) + '=' + encodeURIComponent(tag.Value);
+      }).join('&');
+    }
+
+    callback(null, properties);
+  });
+};
+
+/**
+ * Copy an object with a single copyObject request.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Object} params The parameters for the target.
+ * @param {Function} callback Of the form function (error, String), with the
+ *   ETag of the new object.
+ */
+S3CopyObjectStream.prototype.copyObject = function (s3Object, params, callback) {
+  var self = this;
+
+  function copy (properties) {
+    self.request('copyObject', _.extend({
+      CopySource: S3CopyObjectStream.getCopySource(s3Object),
+      MetadataDirective: properties ? 'REPLACE' : 'COPY'
+    }, params, properties), function (error, response) {
+      callback(error, response && response.CopyObjectResult.ETag);
+    });
+  }
+
+  // Metadata and tags are copied by S3 unless the metadata is replaced, in
+  // which case the other properties must be provided as well.
+  if (!this.metadata) {
+    return copy();
+  }
+
+  this.getObjectProperties(s3Object, false, function (error, properties) {
+    if (error) {
+      return callback(error);
+    }
+
+    copy(properties);
+  });
+};
+
+/**
+ * Copy an object with a multipart upload made of uploadPartCopy requests. If
+ * this fails, the upload is aborted.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Object} params The parameters for the target.
+ * @param {Function} callback Of the form function (error, String), with the
+ *   ETag of the new object.
+ */
+S3CopyObjectStream.prototype.copyMultipart = function (s3Object, params, callback) {
+  var self = this;
+  var target = _.pick(params, ['Bucket', 'Key']);
+  var uploadId;
+
+  function abort (error) {
+    self.request('abortMultipartUpload', _.extend({
+      UploadId: uploadId
+    }, target), function () {
+      // The original error matters more than any error in aborting.
+      callback(error);
+    });
+  }
+
+  async.waterfall([
+    function (asyncCallback) {
+      self.getObjectProperties(s3Object, true, asyncCallback);
+    },
+    function (properties, asyncCallback) {
+      self.request(
+        'createMultipartUpload',
+        _.extend({}, params, properties),
+        asyncCallback
+      );
+    },
+    function (response, asyncCallback) {
+      var ranges = S3CopyObjectStream.getPartRanges(s3Object.Size, self.partSize);
+
+      uploadId = response.UploadId;
+
+      async.timesLimit(ranges.length, PART_COPY_CONCURRENCY, function (index, partCallback) {
+        self.request('uploadPartCopy', _.extend({
+          CopySource: S3CopyObjectStream.getCopySource(s3Object),
+          CopySourceRange: ranges[index],
+          PartNumber: index + 1,
+          UploadId: uploadId
+        }, target), function (error, partResponse) {
+          partCallback(error, partResponse && {
+            ETag: partResponse.CopyPartResult.ETag,
+            PartNumber: index + 1
+          });
+        });
+      }, asyncCallback);
+    },
+    function (parts, asyncCallback) {
+      self.request('completeMultipartUpload', _.extend({
+        MultipartUpload: {
+          Parts: parts
+        },
+        UploadId: uploadId
+      }, target), asyncCallback);
+    }
+  ], function (error, response) {
+    if (error && uploadId) {
+      return abort(error);
+    }
+    if (error) {
+      return callback(error);
+    }
+
+    callback(null, response.ETag);
+  });
+};
+
+/**
+ * Copy an object, unless it is already copied or can't be copied.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Function} callback Of the form function (error, Object), with the
+ *   result for the object. Only errors that are retryable, and so persisted
+ *   through all of the retries, are passed to the callback.
+ */
+S3CopyObjectStream.prototype.processObject = function (s3Object, callback) {
+  var self = this;
+  var target = this.getTarget(s3Object);
+  var result = _.omitBy({
+    Bucket: s3Object.Bucket,
+    Key: s3Object.Key,
+    VersionId: s3Object.VersionId,
+    Size: s3Object.Size,
+    targetBucket: target.Bucket,
+    targetKey: target.Key
+  }, _.isUndefined);
+
+  function skip (reason) {
+    callback(null, _.extend({
+      status: 'skipped',
+      reason: reason
+    }, result));
+  }
+
+  // An error specific to this object, such as a lack of access to it, is
+  // reported for the object without stopping the copying of the others.
+  function fail (error) {
+    if (self.retryPolicy.isRetryable(error)) {
+      return callback(error);
+    }
+
+    callback(null, _.extend({
+      status: 'failed',
+      code: error.code,
+      message: error.message
+    }, result));
+  }
+
+  function copy () {
+    var method = s3Object.Size > self.multipartThreshold ?
+      'uploadPartCopy' :
+      'copyObject';
+    var params = _.omitBy(_.extend({
+      StorageClass: self.storageClass || s3Object.StorageClass
+    }, target), _.isUndefined);
+
+    (method === 'copyObject' ? self.copyObject : self.copyMultipart).call(
+      self,
+      s3Object,
+      params,
+      function (error, eTag) {
+        if (error) {
+          return fail(error);
+        }
+
+        callback(null, _.extend({
+          status: 'copied',
+          method: method,
+          ETag: eTag
+        }, result));
+      }
+    );
+  }
+
+  if (s3Object.type === 'deleteMarker') {
+    return skip('deleteMarker');
+  }
+
+  this.isArchived(s3Object, function (error, isArchived) {
+    if (error) {
+      return fail(error);
+    }
+    if (isArchived) {
+      return skip('archived');
+    }
+
+    self.isCopied(s3Object, target, function (copiedError, isCopied) {
+      if (copiedError) {
+        return fail(copiedError);
+      }
+      if (isCopied) {
+        return skip('exists');
+      }
+
+      copy();
+    });
+  });
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3CopyObjectStream;
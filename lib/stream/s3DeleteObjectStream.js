@@ -0,0 +1,196 @@
+/**
+ * @fileOverview S3DeleteObjectStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var S3ObjectOperationStream = require('./s3ObjectOperationStream');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to delete listed S3 objects in batches with the S3
+ * deleteObjects API.
+ *
+ * Pipe in S3 object definitions from S3ListObjectStream or another listing
+ * stream. These are grouped into batches by bucket, and each batch is deleted
+ * once full, or when the stream ends. If an object has a VersionId, that
+ * version is deleted, which includes the delete markers from the version
+ * listing streams. Batches are deleted concurrently, up to maxConcurrency at a
+ * time.
+ *
+ * Pipe out a record for each object deleted:
+ *
+ * {
+ *   type: 'deleted',
+ *   Bucket: 'exampleBucket',
+ *   Key: 'folder1/file1',
+ *   VersionId: ...
+ *   DeleteMarker: ...
+ *   DeleteMarkerVersionId: ...
+ * }
+ *
+ * And for each object that could not be deleted, with the error for that key
+ * from the response:
+ *
+ * {
+ *   type: 'error',
+ *   Bucket: 'exampleBucket',
+ *   Key: 'folder1/file2',
+ *   VersionId: ...
+ *   code: 'AccessDenied',
+ *   message: 'Access Denied'
+ * }
+ *
+ * In dry run mode nothing is deleted, and a deleted record with dryRun: true
+ * is piped out for each object that would have been.
+ *
+ * These records must be consumed, even if only to discard them. Once the
+ * consumer falls behind no further batches are deleted, so a stream whose
+ * records are never read stops after the first few batches.
+ *
+ * @param {Object} options Options for S3ObjectOperationStream, plus the
+ *   following. The maxConcurrency option is the number of batches to delete
+ *   at once.
+ * @param {Number} [options.batchSize] Defaults to 1000, the maximum for the
+ *   API. The number of objects to delete in each request.
+ * @param {Boolean} [options.dryRun] If true, only report what would be
+ *   deleted.
+ */
+function S3DeleteObjectStream (options) {
+  options = options || {};
+
+  if (
+    options.batchSize !== undefined &&
+    !(options.batchSize >= 1 && options.batchSize <= 1000)
+  ) {
+    throw new Error('Invalid options.batchSize, expected a number from 1 to 1000');
+  }
+
+  this.batchSize = options.batchSize || 1000;
+  this.dryRun = !!options.dryRun;
+
+  // Batches being filled, by bucket.
+  this.batches = {};
+
+  S3DeleteObjectStream.super_.call(this, _.omit(options, ['batchSize', 'dryRun']));
+}
+
+util.inherits(S3DeleteObjectStream, S3ObjectOperationStream);
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Add an object to the batch for its bucket, and queue the batch for deletion
+ * if it is full.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Function} callback Invoked when another object can be accepted.
+ */
+S3DeleteObjectStream.prototype.enqueue = function (s3Object, callback) {
+  var batch = this.batches[s3Object.Bucket];
+
+  if (!batch) {
+    batch = this.batches[s3Object.Bucket] = {
+      Bucket: s3Object.Bucket,
+      objects: []
+    };
+  }
+
+  batch.objects.push(_.omitBy({
+    Key: s3Object.Key,
+    VersionId: s3Object.VersionId
+  }, _.isUndefined));
+
+  if (batch.objects.length < this.batchSize) {
+    return callback();
+  }
+
+  delete this.batches[s3Object.Bucket];
+  S3DeleteObjectStream.super_.prototype.enqueue.call(this, batch, callback);
+};
+
+/**
+ * Delete a batch of objects.
+ *
+ * @param {Object} batch The batch.
+ * @param {String} batch.Bucket The bucket.
+ * @param {Object[]} batch.objects The keys and version IDs to delete.
+ * @param {Function} callback Of the form function (error, Object[]), with a
+ *   record for each object in the batch.
+ */
+S3DeleteObjectStream.prototype.processObject = function (batch, callback) {
+  var params = {
+    Bucket: batch.Bucket,
+    Delete: {
+      Objects: batch.objects,
+      Quiet: false
+    }
+  };
+
+  function createRecord (type, properties) {
+    return _.extend({
+      type: type,
+      Bucket: batch.Bucket
+    }, properties);
+  }
+
+  if (this.dryRun) {
+    return callback(null, _.map(batch.objects, function (object) {
+      return createRecord('deleted', _.extend({ dryRun: true }, object));
+    }));
+  }
+
+  this.request('deleteObjects', params, function (error, response) {
+    if (error) {
+      return callback(error);
+    }
+
+    callback(null, _.map(response.Deleted, function (deleted) {
+      return createRecord('deleted', deleted);
+    }).concat(_.map(response.Errors, function (deleteError) {
+      return createRecord('error', _.omitBy({
+        Key: deleteError.Key,
+        VersionId: deleteError.VersionId,
+        code: deleteError.Code,
+        message: deleteError.Message
+      }, _.isUndefined));
+    })));
+  });
+};
+
+/**
+ * Implementation of the flush method, invoked after all of the incoming
+ * objects are accepted. Queues the batches that are not yet full, then waits
+ * for all of the batches to be deleted before the stream ends.
+ *
+ * @param {Function} callback Invoked when the stream can end.
+ */
+S3DeleteObjectStream.prototype._flush = function (callback) {
+  var self = this;
+  var batches = _.values(this.batches);
+
+  this.batches = {};
+
+  _.each(batches, function (batch) {
+    // Nothing more is accepted, so there is no need to wait for room.
+    S3DeleteObjectStream.super_.prototype.enqueue.call(self, batch, _.noop);
+  });
+
+  S3DeleteObjectStream.super_.prototype._flush.call(this, callback);
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3DeleteObjectStream;
@@ -0,0 +1,116 @@
+/**
+ * @fileOverview S3HeadObjectStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var S3ObjectOperationStream = require('./s3ObjectOperationStream');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to add the metadata from the S3 headObject API to
+ * listed S3 objects.
+ *
+ * Pipe in S3 object definitions from S3ListObjectStream or another listing
+ * stream. If an object has a VersionId, that version is used. Delete markers
+ * from the version listing streams are passed through unchanged.
+ *
+ * Pipe out the same objects with the headObject response merged in:
+ *
+ * {
+ *   Bucket: 'exampleBucket',
+ *   Key: ...
+ *   LastModified: ...
+ *   ETag: ...
+ *   Size: ...
+ *   StorageClass: ...
+ *   ContentType: ...
+ *   Metadata: {
+ *     ...
+ *   },
+ *   ServerSideEncryption: ...
+ *   ObjectLockMode: ...
+ *   ObjectLockRetainUntilDate: ...
+ *   Restore: ...
+ *   ...
+ * }
+ *
+ * @param {Object} options Options for S3ObjectOperationStream, plus the
+ *   following.
+ * @param {String[]} [options.fields] If provided, only merge in these fields
+ *   of the headObject response.
+ * @param {String} [options.notFound] Defaults to 'skip'. What to do with an
+ *   object that no longer exists: 'skip' to omit it, or 'pass' to pass it
+ *   through without metadata.
+ */
+function S3HeadObjectStream (options) {
+  options = options || {};
+
+  if (options.notFound !== undefined && !_.includes(['skip', 'pass'], options.notFound)) {
+    throw new Error('Invalid options.notFound, expected skip or pass');
+  }
+
+  this.fields = options.fields;
+  this.notFound = options.notFound || 'skip';
+
+  S3HeadObjectStream.super_.call(this, _.omit(options, ['fields', 'notFound']));
+}
+
+util.inherits(S3HeadObjectStream, S3ObjectOperationStream);
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Obtain the metadata for an object and merge it in.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Function} callback Of the form function (error, Object), where the
+ *   object is undefined if it is to be skipped.
+ */
+S3HeadObjectStream.prototype.processObject = function (s3Object, callback) {
+  var self = this;
+  var params = {
+    Bucket: s3Object.Bucket,
+    Key: s3Object.Key
+  };
+
+  if (s3Object.type === 'deleteMarker') {
+    return callback(null, s3Object);
+  }
+
+  if (s3Object.VersionId !== undefined) {
+    params.VersionId = s3Object.VersionId;
+  }
+
+  this.request('headObject', params, function (error, response) {
+    if (error && S3ObjectOperationStream.isNotFoundError(error)) {
+      // The object was deleted after it was listed.
+      return callback(null, self.notFound === 'pass' ? s3Object : undefined);
+    }
+    if (error) {
+      return callback(error);
+    }
+
+    if (self.fields) {
+      response = _.pick(response, self.fields);
+    }
+
+    callback(null, _.extend(s3Object, response));
+  });
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3HeadObjectStream;
@@ -0,0 +1,292 @@
+/**
+ * @fileOverview S3ListMultipartUploadStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var async = require('async');
+var _ = require('lodash');
+
+// Local.
+var S3ClientAdapter = require('../s3ClientAdapter');
+var S3ListObjectStream = require('./s3ListObjectStream');
+
+// How many uploads in a page have their parts listed at the same time.
+var LIST_PARTS_CONCURRENCY = 5;
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to list incomplete S3 multipart uploads.
+ *
+ * Pipe in objects of the following form:
+ *
+ * {
+ *   s3Client: new AWS.S3(),
+ *   // Optional. For a v3 client, the @aws-sdk/client-s3 module. Only needed
+ *   // if this package can't load it.
+ *   s3Commands: require('@aws-sdk/client-s3'),
+ *   bucket: 'exampleBucket',
+ *   // Optional, defaults to 1000. How many uploads to return in one API
+ *   // request under the hood.
+ *   maxKeys: 1000,
+ *   // Optional. If present, only list uploads with keys matching the prefix.
+ *   prefix: 'examplePrefix'
+ *   // Optional. If present, use to group keys.
+ *   delimiter: '/',
+ *   // Optional, defaults to false. If true, list the parts of each upload to
+ *   // obtain the part count and total size uploaded so far.
+ *   listParts: true,
+ *   // Optional. Only list uploads initiated before this date. If a number,
+ *   // then only list uploads initiated more than this many milliseconds ago.
+ *   olderThan: 7 * 24 * 60 * 60 * 1000
+ * }
+ *
+ * Pipe out standard upload objects from the S3 listMultipartUploads API, with
+ * the addition of the bucket name, and the part count and size if parts are
+ * listed.
+ *
+ * {
+ *   Bucket: 'exampleBucket',
+ *   Key: ...
+ *   UploadId: ...
+ *   Initiated: ...
+ *   StorageClass: ...
+ *   Owner: {
+ *     DisplayName: ...
+ *     ID: ...
+ *   },
+ *   Initiator: {
+ *     DisplayName: ...
+ *     ID: ...
+ *   },
+ *   // Only present if listParts is true.
+ *   PartCount: 3,
+ *   Size: 15728640
+ * }
+ *
+ * @param {Object} options Standard stream options, plus the following.
+ * @param {RetryPolicy|Object} [options.retryPolicy] A RetryPolicy instance, or
+ *   options for one, governing how failed API requests are retried. Each
+ *   retry is emitted as a 'retry' event.
+ * @param {Number} [options.progressInterval] Defaults to 1000. The minimum
+ *   time in milliseconds between 'progress' events.
+ * @param {RateLimiter|Object} [options.rateLimiter] A RateLimiter instance, or
+ *   options for one, which API requests wait on. Share an instance between
+ *   streams to limit the rate of requests made by all of them.
+ * @param {AbortSignal} [options.signal] If provided, the stream is destroyed
+ *   with an AbortError when the signal is aborted.
+ */
+function S3ListMultipartUploadStream (options) {
+  S3ListMultipartUploadStream.super_.call(this, options);
+
+  // The listMultipartUploads API pages with markers only, so there is no
+  // equivalent of the listObjectsV2 API.
+  this.apiVersions = [1];
+}
+
+util.inherits(S3ListMultipartUploadStream, S3ListObjectStream);
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Obtain the time before which uploads must have been initiated to be
+ * listed.
+ *
+ * @param {Date|Number} [olderThan] A date, or an age in milliseconds.
+ * @return {Number|undefined} A timestamp, or undefined for no limit.
+ */
+S3ListMultipartUploadStream.prototype.getInitiatedCutoff = function (olderThan) {
+  if (olderThan instanceof Date) {
+    return olderThan.getTime();
+  }
+  if (typeof olderThan === 'number') {
+    return Date.now() - olderThan;
+  }
+};
+
+/**
+ * List all of the parts for an upload, and add the part count and total size
+ * to the upload object.
+ *
+ * @param {Object} options
+ * @param {AWS.S3} options.s3Client An AWS client instance.
+ * @param {String} options.bucket The bucket name.
+ * @param {Object} upload An upload object from the listMultipartUploads API.
+ * @param {Function} callback - Callback of the form function (error, Object),
+ *   where the object is undefined if the upload no longer exists.
+ */
+S3ListMultipartUploadStream.prototype.listUploadParts = function (
+  options,
+  upload,
+  callback
+) {
+  var self = this;
+  var partCount = 0;
+  var size = 0;
+
+  /**
+   * Recursively list parts.
+   *
+   * @param {Number|undefined} partNumberMarker A value provided by the S3 API
+   *   to enable paging of large lists of parts.
+   */
+  function listRecusively (partNumberMarker) {
+    var params = {
+      Bucket: options.bucket,
+      Key: upload.Key,
+      UploadId: upload.UploadId,
+      PartNumberMarker: partNumberMarker
+    };
+
+    self.requestWithRetry(
+      options.inputStats,
+      function (requestCallback) {
+        return S3ClientAdapter.request(
+          options.s3Client,
+          options.s3Commands,
+          'listParts',
+          params,
+          requestCallback
+        );
+      },
+      function (error, response) {
+        if (error && error.code === 'NoSuchUpload') {
+          // The upload was completed or aborted after it was listed.
+          return callback();
+        }
+        if (error) {
+          return callback(error);
+        }
+
+        _.each(response.Parts, function (part) {
+          partCount++;
+          size += part.Size;
+        });
+
+        if (response.IsTruncated) {
+          return listRecusively(response.NextPartNumberMarker);
+        }
+
+        upload.PartCount = partCount;
+        upload.Size = size;
+        callback(null, upload);
+      }
+    );
+  }
+
+  listRecusively();
+};
+
+/**
+ * List one page of multipart uploads from the specified bucket.
+ *
+ * If providing a prefix, only keys matching the prefix will be returned.
+ *
+ * If providing a marker, list a page of uploads starting from the marker
+ * position. Otherwise return the first page of uploads.
+ *
+ * @param {Object} options
+ * @param {AWS.S3} options.s3Client An AWS client instance.
+ * @param {String} options.bucket The bucket name.
+ * @param {String} [options.prefix] If set only return keys beginning with
+ *   the prefix value.
+ * @param {Object|String} [options.marker] If an object, the keyMarker and
+ *   uploadIdMarker to start from. If a string, the key to start after.
+ * @param {Number} [options.maxKeys] Maximum number of uploads to return per
+ *   request. Defaults to 1000.
+ * @param {String} [options.delimiter] A character you use to group keys.
+ * @param {Boolean} [options.listParts] If true, list the parts of each upload.
+ * @param {Date|Number} [options.olderThan] Only return uploads initiated
+ *   before this date, or more than this many milliseconds ago.
+ * @param {Function} callback - Callback of the form
+    function (error, nextMarker, Object[], String[]).
+ */
+S3ListMultipartUploadStream.prototype.listObjectsPage = function (options, callback) {
+  var self = this;
+  var cutoff = this.getInitiatedCutoff(options.olderThan);
+  var marker = options.marker;
+  var params = {
+    Bucket: options.bucket,
+    MaxUploads: options.maxKeys,
+    Prefix: options.prefix,
+    Delimiter: options.delimiter
+  };
+
+  if (typeof marker === 'string') {
+    marker = {
+      keyMarker: marker
+    };
+  }
+
+  params.KeyMarker = _.get(marker, 'keyMarker');
+  params.UploadIdMarker = _.get(marker, 'uploadIdMarker');
+
+  this.requestWithRetry(
+    options.inputStats,
+    function (requestCallback) {
+      return S3ClientAdapter.request(
+        options.s3Client,
+        options.s3Commands,
+        'listMultipartUploads',
+        params,
+        requestCallback
+      );
+    },
+    function (error, response) {
+      var commonPrefixes;
+      var nextMarker;
+      var uploads;
+
+      if (error) {
+        return callback(error);
+      }
+
+      if (response.IsTruncated) {
+        nextMarker = {
+          keyMarker: response.NextKeyMarker,
+          uploadIdMarker: response.NextUploadIdMarker
+        };
+      }
+
+      uploads = _.filter(response.Uploads, function (upload) {
+        return cutoff === undefined || new Date(upload.Initiated).getTime() < cutoff;
+      });
+
+      commonPrefixes = _.map(response.CommonPrefixes, function (prefixObject) {
+        return prefixObject.Prefix;
+      });
+
+      if (!options.listParts) {
+        return callback(null, nextMarker, uploads, commonPrefixes);
+      }
+
+      async.mapLimit(
+        uploads,
+        LIST_PARTS_CONCURRENCY,
+        function (upload, asyncCallback) {
+          self.listUploadParts(options, upload, asyncCallback);
+        },
+        function (partsError, uploadsWithParts) {
+          if (partsError) {
+            return callback(partsError);
+          }
+
+          callback(null, nextMarker, _.compact(uploadsWithParts), commonPrefixes);
+        }
+      );
+    }
+  );
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3ListMultipartUploadStream;
@@ -7,7 +7,14 @@ var Transform = require('stream').Transform;
 var util = require('util');
 
 // NPM.
-var async = require('async');
+var _ = require('lodash');
+
+// Local.
+var AbortError = require('../abortError');
+var ListingStats = require('../listingStats');
+var RateLimiter = require('../rateLimiter');
+var RetryPolicy = require('../retryPolicy');
+var S3ClientAdapter = require('../s3ClientAdapter');
 
 //---------------------------------------------------------------------------
 // Class constructor.
@@ -19,7 +26,12 @@ var async = require('async');
  * Pipe in objects of the following form:
  *
  * {
+ *   // An aws-sdk v2 client, an @aws-sdk/client-s3 v3 client, or a function
+ *   // as described in S3ClientAdapter.
  *   s3Client: new AWS.S3(),
+ *   // Optional. For a v3 client, the @aws-sdk/client-s3 module. Only needed
+ *   // if this package can't load it.
+ *   s3Commands: require('@aws-sdk/client-s3'),
  *   bucket: 'exampleBucket',
  *   // Optional, defaults to 1000. How many objects to return in one API
  *   // request under the hood.
@@ -27,7 +39,27 @@ var async = require('async');
  *   // Optional. If present, only list objects with keys matching the prefix.
  *   prefix: 'examplePrefix'
  *   // Optional. If present, use to group keys.
- *   delimiter: '/'
+ *   delimiter: '/',
+ *   // Optional, defaults to 1. Set to 2 to page with the listObjectsV2 API and
+ *   // continuation tokens rather than the legacy listObjects API and markers.
+ *   apiVersion: 2,
+ *   // Optional. If present, list only keys that sort after this key.
+ *   startAfter: 'examplePrefix/exampleKey',
+ *   // Optional, defaults to true. Only used by the listObjectsV2 API, which
+ *   // omits the Owner property unless asked for it.
+ *   fetchOwner: true,
+ *   // Optional. Set to 'requester' to list a requester pays bucket.
+ *   requestPayer: 'requester',
+ *   // Optional. The account ID expected to own the bucket. The listing fails
+ *   // if the bucket is owned by a different account.
+ *   expectedBucketOwner: '111122223333',
+ *   // Optional. Set to 'url' to have S3 URL encode keys in its responses,
+ *   // which is needed for keys containing some control characters. Keys and
+ *   // prefixes are decoded before they are emitted.
+ *   encodingType: 'url',
+ *   // Optional. A checkpoint emitted by an earlier listing of the same bucket
+ *   // and prefix, to continue on from where that listing stopped.
+ *   resumeFrom: checkpoint
  * }
  *
  * Pipe out standard response objects from the S3 listObjects API, with the
@@ -46,22 +78,362 @@ var async = require('async');
  *   }
  * }
  *
- * @param {Object} options Standard stream options.
+ * If a delimiter is provided, then the common prefixes found are emitted as
+ * 'prefix' events, with a listener receiving objects of this form:
+ *
+ * {
+ *   Bucket: 'exampleBucket',
+ *   Prefix: 'examplePrefix/folder/',
+ *   type: 'prefix'
+ * }
+ *
+ * After each page of objects is pushed, a 'checkpoint' event is emitted with
+ * an object of the following form, where the marker is replaced by a
+ * continuationToken for the listObjectsV2 API:
+ *
+ * {
+ *   bucket: 'exampleBucket',
+ *   prefix: 'examplePrefix',
+ *   marker: 'examplePrefix/exampleKey',
+ *   // True if this was the last page.
+ *   complete: false
+ * }
+ *
+ * Listing pauses while the consumer falls behind, which is to say while the
+ * readable side of the stream is full, and continues when it reads more.
+ *
+ * Statistics for the listings, in total and broken down by bucket and by
+ * incoming object, are returned by getStats(), and emitted as 'progress'
+ * events as the listings proceed, at most once per progress interval.
+ *
+ * Destroying the stream, or aborting the signal provided to it, stops the
+ * listing and aborts any API requests in progress.
+ *
+ * Failed API requests are retried according to the retry policy, and each
+ * retry is emitted as a 'retry' event with an object of the following form:
+ *
+ * {
+ *   error: error,
+ *   // The number of the attempt that failed.
+ *   attempt: 1
+ * }
+ *
+ * @param {Object} options Standard stream options, plus the following.
+ * @param {RetryPolicy|Object} [options.retryPolicy] A RetryPolicy instance, or
+ *   options for one, governing how failed API requests are retried. Each
+ *   retry is emitted as a 'retry' event.
+ * @param {Number} [options.progressInterval] Defaults to 1000. The minimum
+ *   time in milliseconds between 'progress' events.
+ * @param {RateLimiter|Object} [options.rateLimiter] A RateLimiter instance, or
+ *   options for one, which API requests wait on. Share an instance between
+ *   streams to limit the rate of requests made by all of them.
+ * @param {AbortSignal} [options.signal] If provided, the stream is destroyed
+ *   with an AbortError when the signal is aborted.
  */
 function S3ListObjectStream (options) {
   options = options || {};
   // Important; make this an object stream.
   options.objectMode = true;
 
-  S3ListObjectStream.super_.call(this, options);
+  // Newer versions of Node.js handle a signal option in the stream
+  // constructor, so it is withheld in favor of the handling here.
+  S3ListObjectStream.super_.call(this, _.omit(options, 'signal'));
+
+  // Functions waiting for the consumer to read more before continuing the
+  // listing.
+  this.readWaiters = [];
+
+  // The values of options.apiVersion that the listing API supports.
+  this.apiVersions = [1, 2];
+
+  this.retryPolicy = options.retryPolicy instanceof RetryPolicy ?
+    options.retryPolicy :
+    new RetryPolicy(options.retryPolicy);
+
+  if (options.rateLimiter) {
+    this.rateLimiter = options.rateLimiter instanceof RateLimiter ?
+      options.rateLimiter :
+      new RateLimiter(options.rateLimiter);
+  }
+
+  this.stats = new ListingStats();
+  this.progressInterval = options.progressInterval === undefined ?
+    1000 :
+    options.progressInterval;
+  this.lastProgressAt = 0;
+
+  // API requests in progress, to be aborted if the stream is destroyed.
+  this.activeRequests = [];
+  this.stopListeningForAbort = _.noop;
+
+  if (options.signal) {
+    this.listenForAbort(options.signal);
+  }
 }
 
 util.inherits(S3ListObjectStream, Transform);
 
+//---------------------------------------------------------------------------
+// Functions.
+//---------------------------------------------------------------------------
+
+/**
+ * Add the request parameters accepted by all of the listing APIs, where they
+ * are set in the options for a listing.
+ *
+ * @param {Object} params The request parameters, which are modified.
+ * @param {Object} options The options for the listing.
+ * @param {String} [options.requestPayer] Set to 'requester' to list a
+ *   requester pays bucket.
+ * @param {String} [options.expectedBucketOwner] The account ID expected to own
+ *   the bucket.
+ * @param {String} [options.encodingType] Set to 'url' to have keys URL encoded
+ *   in responses.
+ * @return {Object} The request parameters.
+ */
+S3ListObjectStream.addCommonParams = function (params, options) {
+  if (options.requestPayer !== undefined) {
+    params.RequestPayer = options.requestPayer;
+  }
+  if (options.expectedBucketOwner !== undefined) {
+    params.ExpectedBucketOwner = options.expectedBucketOwner;
+  }
+  if (options.encodingType !== undefined) {
+    params.EncodingType = options.encodingType;
+  }
+
+  return params;
+};
+
+/**
+ * Decode a key, prefix or marker that S3 has URL encoded. S3 encodes spaces
+ * as '+' in this case, and a '+' in the key as '%2B'.
+ *
+ * @param {String|undefined} value The encoded value.
+ * @return {String|undefined} The decoded value.
+ */
+S3ListObjectStream.decodeKey = function (value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  return decodeURIComponent(value.replace(/\+/g, ' '));
+};
+
+/**
+ * If URL encoding was requested, decode the keys, prefixes and markers in a
+ * listing API response.
+ *
+ * @param {Object} response A listObjects, listObjectsV2 or listObjectVersions
+ *   API response, which is modified.
+ * @param {String} [encodingType] The encoding type of the request.
+ * @return {Object} The response.
+ */
+S3ListObjectStream.decodeResponse = function (response, encodingType) {
+  if (encodingType !== 'url') {
+    return response;
+  }
+
+  _.each(
+    ['Delimiter', 'Prefix', 'Marker', 'NextMarker', 'StartAfter', 'KeyMarker', 'NextKeyMarker'],
+    function (name) {
+      if (response[name] !== undefined) {
+        response[name] = S3ListObjectStream.decodeKey(response[name]);
+      }
+    }
+  );
+
+  _.each(['Contents', 'Versions', 'DeleteMarkers'], function (name) {
+    _.each(response[name], function (s3Object) {
+      s3Object.Key = S3ListObjectStream.decodeKey(s3Object.Key);
+    });
+  });
+
+  _.each(response.CommonPrefixes, function (prefixObject) {
+    prefixObject.Prefix = S3ListObjectStream.decodeKey(prefixObject.Prefix);
+  });
+
+  return response;
+};
+
 //---------------------------------------------------------------------------
 // Methods
 //---------------------------------------------------------------------------
 
+/**
+ * Wait until the rate limiter, if there is one, allows an API request.
+ *
+ * @param {Object} [scope] The bucket and prefix of the request, such as the
+ *   statistics for the listing.
+ * @param {Function} callback Invoked when the request can be made.
+ */
+S3ListObjectStream.prototype.waitForRateLimit = function (scope, callback) {
+  if (!this.rateLimiter) {
+    return callback();
+  }
+
+  this.rateLimiter.acquire(_.pick(scope, ['bucket', 'prefix']), callback);
+};
+
+/**
+ * Make an API request, retrying on error according to the retry policy. Each
+ * attempt waits on the rate limiter, if there is one.
+ *
+ * @param {Object} [inputStats] The statistics for the listing.
+ * @param {Function} request Of the form function (callback), making the API
+ *   request.
+ * @param {Function} callback Of the form function (error, response).
+ */
+S3ListObjectStream.prototype.requestWithRetry = function (
+  inputStats,
+  request,
+  callback
+) {
+  var self = this;
+
+  this.retryPolicy.run(
+    function (retryCallback) {
+      self.waitForRateLimit(inputStats, function () {
+        if (self.destroyed) {
+          return;
+        }
+
+        self.stats.requestStarted(inputStats);
+
+        self.sendRequest(request, function (error, response) {
+          self.stats.requestEnded(inputStats, error);
+          retryCallback(error, response);
+        });
+      });
+    },
+    function (error, attempt) {
+      self.stats.increment(inputStats, 'retries');
+      self.emit('retry', {
+        error: error,
+        attempt: attempt
+      });
+    },
+    callback
+  );
+};
+
+/**
+ * Destroy the stream with an AbortError when the signal is aborted.
+ *
+ * @param {AbortSignal} signal An AbortSignal, or any object with the same
+ *   aborted property and addEventListener method.
+ */
+S3ListObjectStream.prototype.listenForAbort = function (signal) {
+  var self = this;
+
+  function onAbort () {
+    self.destroy(new AbortError());
+  }
+
+  if (signal.aborted) {
+    return process.nextTick(onAbort);
+  }
+
+  signal.addEventListener('abort', onAbort);
+
+  // Don't keep the stream alive via the signal once it is done with.
+  this.stopListeningForAbort = function () {
+    signal.removeEventListener('abort', onAbort);
+  };
+  this.once('end', this.stopListeningForAbort);
+};
+
+/**
+ * Send an API request, keeping track of it so that it can be aborted if the
+ * stream is destroyed. Once the stream is destroyed, no further requests are
+ * sent and the callback is no longer invoked.
+ *
+ * @param {Function} request Of the form function (callback), making the API
+ *   request and returning the AWS.Request instance.
+ * @param {Function} callback Of the form function (error, response).
+ */
+S3ListObjectStream.prototype.sendRequest = function (request, callback) {
+  var self = this;
+  var awsRequest;
+  var isComplete = false;
+
+  if (this.destroyed) {
+    return;
+  }
+
+  awsRequest = request(function (error, response) {
+    isComplete = true;
+    _.pull(self.activeRequests, awsRequest);
+
+    if (!self.destroyed) {
+      callback(error, response);
+    }
+  });
+
+  if (!isComplete && awsRequest && typeof awsRequest.abort === 'function') {
+    this.activeRequests.push(awsRequest);
+  }
+};
+
+/**
+ * Abort any API requests in progress.
+ */
+S3ListObjectStream.prototype.abortRequests = function () {
+  var activeRequests = this.activeRequests;
+
+  this.activeRequests = [];
+  _.each(activeRequests, function (awsRequest) {
+    awsRequest.abort();
+  });
+};
+
+/**
+ * Obtain a snapshot of the statistics for the listings.
+ *
+ * @return {Object} The statistics.
+ */
+S3ListObjectStream.prototype.getStats = function () {
+  return this.stats.getSnapshot(this.writableLength);
+};
+
+/**
+ * Emit a 'progress' event with the current statistics, unless one was
+ * emitted more recently than the progress interval.
+ *
+ * @param {Boolean} [force] If true, emit regardless of the interval.
+ */
+S3ListObjectStream.prototype.emitProgress = function (force) {
+  var now = Date.now();
+
+  if (!force && now - this.lastProgressAt < this.progressInterval) {
+    return;
+  }
+
+  this.lastProgressAt = now;
+  this.emit('progress', this.getStats());
+};
+
+/**
+ * Push an object to the stream, and count it in the statistics.
+ *
+ * @param {Object} object The object.
+ * @param {Object} [inputStats] The statistics for the listing.
+ * @return {Boolean} False if the consumer has fallen behind.
+ */
+S3ListObjectStream.prototype.pushObject = function (object, inputStats) {
+  this.stats.objectEmitted(inputStats, object);
+  return this.push(object);
+};
+
+/**
+ * Wait for the consumer to read more from the stream before continuing.
+ *
+ * @param {Function} callback Invoked on the next read.
+ */
+S3ListObjectStream.prototype.waitForRead = function (callback) {
+  this.readWaiters.push(callback);
+};
+
 /**
  * List one page of objects from the specified bucket.
  *
@@ -70,6 +442,13 @@ util.inherits(S3ListObjectStream, Transform);
  * If providing a marker, list a page of keys starting from the marker
  * position. Otherwise return the first page of keys.
  *
+ * If options.apiVersion is 2, then the listObjectsV2 API is used, and paging
+ * is carried out with continuation tokens rather than markers. In that case
+ * the nextMarker passed to the callback is the continuation token.
+ *
+ * If providing a delimiter, the common prefixes are passed to the callback
+ * as an array of strings.
+ *
  * @param {Object} options
  * @param {AWS.S3} options.s3Client An AWS client instance.
  * @param {String} options.bucket The bucket name.
@@ -80,44 +459,117 @@ util.inherits(S3ListObjectStream, Transform);
  * @param {Number} [options.maxKeys] Maximum number of keys to return per
  *   request. Defaults to 1000.
  * @param {String} [options.delimiter] A character you use to group keys.
+ * @param {Number} [options.apiVersion] If 2, use the listObjectsV2 API.
+ * @param {String} [options.continuationToken] For the listObjectsV2 API, if
+ *   set then list a page of keys following on from a previous request.
+ * @param {String} [options.startAfter] For the listObjectsV2 API, if set then
+ *   only list keys that sort after this key.
+ * @param {Boolean} [options.fetchOwner] For the listObjectsV2 API, if true
+ *   then include the Owner property in the listed objects.
+ * @param {String} [options.requestPayer] Set to 'requester' to list a
+ *   requester pays bucket.
+ * @param {String} [options.expectedBucketOwner] The account ID expected to own
+ *   the bucket.
+ * @param {String} [options.encodingType] Set to 'url' to have keys URL encoded
+ *   in responses, and decoded here.
  * @param {Function} callback - Callback of the form
-    function (error, nextMarker, Object[]).
+    function (error, nextMarker, Object[], String[]).
  */
 S3ListObjectStream.prototype.listObjectsPage = function (options, callback) {
+  var useV2 = options.apiVersion === 2;
   var params = {
     Bucket: options.bucket,
-    Marker: options.marker,
     MaxKeys: options.maxKeys,
     Prefix: options.prefix,
     Delimiter: options.delimiter
   };
 
-  // S3 operations have a small but significant error rate.
-  async.retry(
-    3,
-    function (asyncCallback) {
-      options.s3Client.listObjects(params, asyncCallback);
+  if (useV2) {
+    params.ContinuationToken = options.continuationToken;
+    params.StartAfter = options.startAfter;
+    params.FetchOwner = options.fetchOwner;
+  }
+  else {
+    params.Marker = options.marker;
+  }
+
+  S3ListObjectStream.addCommonParams(params, options);
+
+  this.requestWithRetry(
+    options.inputStats,
+    function (requestCallback) {
+      return S3ClientAdapter.request(
+        options.s3Client,
+        options.s3Commands,
+        useV2 ? 'listObjectsV2' : 'listObjects',
+        params,
+        requestCallback
+      );
     },
     function (error, response) {
+      var commonPrefixes;
       var nextMarker;
 
       if (error) {
         return callback(error);
       }
 
+      S3ListObjectStream.decodeResponse(response, options.encodingType);
+      response.Contents = response.Contents || [];
+      commonPrefixes = _.map(response.CommonPrefixes, function (prefixObject) {
+        return prefixObject.Prefix;
+      });
+
       // Check to see if there are yet more keys to be obtained, and if so
       // return the marker for use in the next request.
-      if (response.IsTruncated) {
-        // For normal listing, there is no response.NextMarker
-        // and we must use the last key instead.
-        nextMarker = response.Contents[response.Contents.length - 1].Key;
+      if (response.IsTruncated && useV2) {
+        nextMarker = response.NextContinuationToken;
+      }
+      else if (response.IsTruncated && response.NextMarker) {
+        // NextMarker is only provided when a delimiter is used. It accounts for
+        // pages that contain only common prefixes.
+        nextMarker = response.NextMarker;
+      }
+      else if (response.IsTruncated) {
+        // For normal listing, there is no response.NextMarker and we must use
+        // whichever of the last key or last common prefix sorts later.
+        nextMarker = _.max([
+          _.get(_.last(response.Contents), 'Key'),
+          _.last(commonPrefixes)
+        ]);
       }
 
-      callback(null, nextMarker, response.Contents);
+      callback(null, nextMarker, response.Contents, commonPrefixes);
     }
   );
 };
 
+/**
+ * Create a checkpoint that records the position of a listing after a page of
+ * objects, sufficient to resume the listing from that position.
+ *
+ * @param {Object} options The options for the listing.
+ * @param {*} nextMarker The marker or continuation token for the next page,
+ *   or undefined if there are no more pages.
+ * @return {Object} The checkpoint.
+ */
+S3ListObjectStream.prototype.createCheckpoint = function (options, nextMarker) {
+  var checkpoint = {
+    bucket: options.bucket,
+    prefix: options.prefix,
+    complete: !nextMarker
+  };
+
+  if (options.apiVersion === 2) {
+    checkpoint.continuationToken = nextMarker;
+  }
+  else {
+    checkpoint.marker = nextMarker;
+  }
+
+  return checkpoint;
+};
+
 /**
  * List objects from S3 and push them to the stream.
  *
@@ -129,10 +581,19 @@ S3ListObjectStream.prototype.listObjectsPage = function (options, callback) {
  * @param {String} [options.prefix] If present, only list objects with keys that
  *   match the prefix.
  * @param {String} [options.delimiter] If present, used to group keys.
+ * @param {Number} [options.apiVersion] Defaults to 1. If 2, use the
+ *   listObjectsV2 API.
+ * @param {String} [options.startAfter] If present, only list keys that sort
+ *   after this key. For the listObjects API this is the initial marker.
+ * @param {Boolean} [options.fetchOwner] Defaults to true. For the
+ *   listObjectsV2 API, whether to include the Owner property.
+ * @param {Object} [options.resumeFrom] A checkpoint from an earlier listing
+ *   of the same bucket and prefix to continue on from.
  * @param {Function} callback Invoked after this listing is processed.
  */
 S3ListObjectStream.prototype.listObjects = function (options, callback) {
   var self = this;
+  var initialMarker;
 
   if (!options || typeof options !== 'object') {
     return callback(new Error('An object is expected.'));
@@ -143,8 +604,31 @@ S3ListObjectStream.prototype.listObjects = function (options, callback) {
   if (!options.bucket) {
     return callback(new Error('Missing options.bucket'));
   }
+  if (options.apiVersion && !_.includes(this.apiVersions, options.apiVersion)) {
+    return callback(new Error(
+      'Invalid options.apiVersion, expected ' + this.apiVersions.join(' or ')
+    ));
+  }
+  if (
+    options.resumeFrom && (
+      options.resumeFrom.bucket !== options.bucket ||
+      (options.resumeFrom.prefix || '') !== (options.prefix || '')
+    )
+  ) {
+    return callback(new Error('options.resumeFrom does not match the bucket and prefix'));
+  }
+
+  // A checkpoint from the last page means there is nothing left to list.
+  if (options.resumeFrom && options.resumeFrom.complete) {
+    return callback();
+  }
 
   options.maxKeys = options.maxKeys || 1000;
+  options.inputStats = this.stats.addInput(options.bucket, options.prefix);
+
+  if (options.apiVersion === 2 && options.fetchOwner === undefined) {
+    options.fetchOwner = true;
+  }
 
   /**
    * Recursively list objects.
@@ -154,22 +638,56 @@ S3ListObjectStream.prototype.listObjects = function (options, callback) {
    *   marker. If not provided, then the list starts from the first key.
    */
   function listRecusively (marker) {
-    options.marker = marker;
+    if (options.apiVersion === 2) {
+      options.continuationToken = marker;
+    }
+    else {
+      options.marker = marker;
+    }
 
     self.listObjectsPage(
       options,
-      function (error, nextMarker, s3Objects) {
+      function (error, nextMarker, s3Objects, commonPrefixes) {
+        var isFull = false;
+
         if (error) {
           return callback(error);
         }
 
-        // Send all of these S3 object definitions to be piped onwards.
+        // Common prefixes are only found when using a delimiter, and are sent
+        // out as events rather than being mixed into the object stream.
+        _.each(commonPrefixes, function (commonPrefix) {
+          self.emit('prefix', {
+            Bucket: options.bucket,
+            Prefix: commonPrefix,
+            type: 'prefix'
+          });
+        });
+
+        // Send all of these S3 object definitions to be piped onwards, noting
+        // whether the consumer is keeping up.
         s3Objects.forEach(function (object) {
           object.Bucket = options.bucket;
-          self.push(object);
+          if (self.pushObject(object, options.inputStats) === false) {
+            isFull = true;
+          }
         });
 
-        if (nextMarker) {
+        self.emit('checkpoint', self.createCheckpoint(options, nextMarker));
+
+        if (!nextMarker) {
+          options.inputStats.complete = true;
+        }
+        self.emitProgress();
+
+        // If the consumer has fallen behind, wait for it before requesting
+        // the next page.
+        if (nextMarker && isFull) {
+          self.waitForRead(function () {
+            listRecusively(nextMarker);
+          });
+        }
+        else if (nextMarker) {
           listRecusively(nextMarker);
         }
         else {
@@ -179,8 +697,21 @@ S3ListObjectStream.prototype.listObjects = function (options, callback) {
     );
   }
 
-  // Start the recursive listing at the beginning, with no marker.
-  listRecusively();
+  // Start the recursive listing at the beginning, with no marker, unless
+  // resuming from a checkpoint. For the listObjectsV2 API startAfter is passed
+  // as its own parameter, but for the listObjects API it serves as the initial
+  // marker.
+  if (options.resumeFrom && options.apiVersion === 2) {
+    initialMarker = options.resumeFrom.continuationToken;
+  }
+  else if (options.resumeFrom) {
+    initialMarker = options.resumeFrom.marker;
+  }
+  else if (options.apiVersion !== 2) {
+    initialMarker = options.startAfter;
+  }
+
+  listRecusively(initialMarker);
 };
 
 
@@ -196,6 +727,48 @@ S3ListObjectStream.prototype._transform = function (data, encoding, callback) {
   this.listObjects(data, callback);
 };
 
+/**
+ * Implementation of the read method, invoked when the consumer wants more
+ * data. Continues any listing that was waiting for the consumer.
+ *
+ * @param {Number} size Irrelevant since this is an object stream.
+ */
+S3ListObjectStream.prototype._read = function (size) {
+  var readWaiters = this.readWaiters;
+
+  this.readWaiters = [];
+  readWaiters.forEach(function (readWaiter) {
+    readWaiter();
+  });
+
+  S3ListObjectStream.super_.prototype._read.call(this, size);
+};
+
+/**
+ * Implementation of the flush method, invoked after all of the listings are
+ * complete. Emits the final statistics.
+ *
+ * @param {Function} callback Invoked when the stream can end.
+ */
+S3ListObjectStream.prototype._flush = function (callback) {
+  this.emitProgress(true);
+  callback();
+};
+
+/**
+ * Implementation of the destroy method. Stops the listing and aborts any API
+ * requests in progress.
+ *
+ * @param {Error|null} error The error the stream is destroyed with, if any.
+ * @param {Function} callback Invoked when the stream is destroyed.
+ */
+S3ListObjectStream.prototype._destroy = function (error, callback) {
+  this.stopListeningForAbort();
+  this.readWaiters = [];
+  this.abortRequests();
+  callback(error);
+};
+
 //---------------------------------------------------------------------------
 // Export class constructor.
 //---------------------------------------------------------------------------
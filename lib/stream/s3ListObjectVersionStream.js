@@ -0,0 +1,244 @@
+/**
+ * @fileOverview S3ListObjectVersionStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var S3ClientAdapter = require('../s3ClientAdapter');
+var S3ListObjectStream = require('./s3ListObjectStream');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to list S3 object versions and delete markers.
+ *
+ * Pipe in objects of the following form:
+ *
+ * {
+ *   s3Client: new AWS.S3(),
+ *   // Optional. For a v3 client, the @aws-sdk/client-s3 module. Only needed
+ *   // if this package can't load it.
+ *   s3Commands: require('@aws-sdk/client-s3'),
+ *   bucket: 'exampleBucket',
+ *   // Optional, defaults to 1000. How many versions to return in one API
+ *   // request under the hood.
+ *   maxKeys: 1000,
+ *   // Optional. If present, only list versions with keys matching the prefix.
+ *   prefix: 'examplePrefix'
+ *   // Optional. If present, use to group keys.
+ *   delimiter: '/',
+ *   // Optional. If present, list only versions of keys that sort after this
+ *   // key.
+ *   startAfter: 'examplePrefix/exampleKey',
+ *   // Optional. Set to 'requester' to list a requester pays bucket.
+ *   requestPayer: 'requester',
+ *   // Optional. The account ID expected to own the bucket. The listing fails
+ *   // if the bucket is owned by a different account.
+ *   expectedBucketOwner: '111122223333',
+ *   // Optional. Set to 'url' to have S3 URL encode keys in its responses,
+ *   // which is needed for keys containing some control characters. Keys and
+ *   // prefixes are decoded before they are emitted.
+ *   encodingType: 'url'
+ * }
+ *
+ * Pipe out standard version and delete marker objects from the S3
+ * listObjectVersions API, with the addition of the bucket name and a type
+ * property to tell them apart. For a version:
+ *
+ * {
+ *   Bucket: 'exampleBucket',
+ *   Key: ...
+ *   VersionId: ...
+ *   IsLatest: ...
+ *   LastModified: ...
+ *   ETag: ...
+ *   Size: ...
+ *   StorageClass: ...
+ *   Owner: {
+ *     DisplayName: ...
+ *     ID: ...
+ *   },
+ *   type: 'version'
+ * }
+ *
+ * For a delete marker:
+ *
+ * {
+ *   Bucket: 'exampleBucket',
+ *   Key: ...
+ *   VersionId: ...
+ *   IsLatest: ...
+ *   LastModified: ...
+ *   Owner: {
+ *     DisplayName: ...
+ *     ID: ...
+ *   },
+ *   type: 'deleteMarker'
+ * }
+ *
+ * Versions and delete markers are emitted in key order, and for each key from
+ * newest to oldest.
+ *
+ * @param {Object} options Standard stream options.
+ */
+function S3ListObjectVersionStream (options) {
+  S3ListObjectVersionStream.super_.call(this, options);
+
+  // The listObjectVersions API pages with markers only, so there is no
+  // equivalent of the listObjectsV2 API.
+  this.apiVersions = [1];
+}
+
+util.inherits(S3ListObjectVersionStream, S3ListObjectStream);
+
+//---------------------------------------------------------------------------
+// Functions.
+//---------------------------------------------------------------------------
+
+/**
+ * Merge the versions and delete markers in a listObjectVersions response into
+ * a single array, in the order that S3 lists them.
+ *
+ * @param {Object} response A listObjectVersions API response.
+ * @return {Object[]} The versions and delete markers.
+ */
+S3ListObjectVersionStream.mergeVersions = function (response) {
+  var versions = _.map(response.Versions, function (version) {
+    version.type = 'version';
+    return version;
+  });
+  var deleteMarkers = _.map(response.DeleteMarkers, function (deleteMarker) {
+    deleteMarker.type = 'deleteMarker';
+    return deleteMarker;
+  });
+
+  // Within each key, S3 lists the newest version or delete marker first.
+  // LastModified is only precise to the second, so when entries share it, the
+  // latest comes first.
+  return _.orderBy(
+    versions.concat(deleteMarkers),
+    [
+      'Key',
+      function (s3Object) {
+        return new Date(s3Object.LastModified).getTime();
+      },
+      function (s3Object) {
+        return s3Object.IsLatest ? 1 : 0;
+      }
+    ],
+    ['asc', 'desc', 'desc']
+  );
+};
+
+/**
+ * Obtain the marker for the next page of a listObjectVersions response, if
+ * there is a next page.
+ *
+ * @param {Object} response A listObjectVersions API response.
+ * @return {Object|undefined} An object with keyMarker and versionIdMarker
+ *   properties, or undefined if there are no more pages.
+ */
+S3ListObjectVersionStream.getNextMarker = function (response) {
+  if (!response.IsTruncated) {
+    return;
+  }
+
+  return {
+    keyMarker: response.NextKeyMarker,
+    versionIdMarker: response.NextVersionIdMarker
+  };
+};
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * List one page of object versions and delete markers from the specified
+ * bucket.
+ *
+ * If providing a prefix, only keys matching the prefix will be returned.
+ *
+ * If providing a marker, list a page of versions starting from the marker
+ * position. Otherwise return the first page of versions.
+ *
+ * @param {Object} options
+ * @param {AWS.S3} options.s3Client An AWS client instance.
+ * @param {String} options.bucket The bucket name.
+ * @param {String} [options.prefix] If set only return keys beginning with
+ *   the prefix value.
+ * @param {Object|String} [options.marker] If an object, the keyMarker and
+ *   versionIdMarker to start from. If a string, the key to start after.
+ * @param {Number} [options.maxKeys] Maximum number of versions to return per
+ *   request. Defaults to 1000.
+ * @param {String} [options.delimiter] A character you use to group keys.
+ * @param {String} [options.requestPayer] Set to 'requester' to list a
+ *   requester pays bucket.
+ * @param {String} [options.expectedBucketOwner] The account ID expected to own
+ *   the bucket.
+ * @param {String} [options.encodingType] Set to 'url' to have keys URL encoded
+ *   in responses, and decoded here.
+ * @param {Function} callback - Callback of the form
+    function (error, nextMarker, Object[], String[]).
+ */
+S3ListObjectVersionStream.prototype.listObjectsPage = function (options, callback) {
+  var marker = options.marker;
+  var params = {
+    Bucket: options.bucket,
+    MaxKeys: options.maxKeys,
+    Prefix: options.prefix,
+    Delimiter: options.delimiter
+  };
+
+  if (typeof marker === 'string') {
+    marker = {
+      keyMarker: marker
+    };
+  }
+
+  params.KeyMarker = _.get(marker, 'keyMarker');
+  params.VersionIdMarker = _.get(marker, 'versionIdMarker');
+  S3ListObjectStream.addCommonParams(params, options);
+
+  this.requestWithRetry(
+    options.inputStats,
+    function (requestCallback) {
+      return S3ClientAdapter.request(
+        options.s3Client,
+        options.s3Commands,
+        'listObjectVersions',
+        params,
+        requestCallback
+      );
+    },
+    function (error, response) {
+      if (error) {
+        return callback(error);
+      }
+
+      S3ListObjectStream.decodeResponse(response, options.encodingType);
+
+      callback(
+        null,
+        S3ListObjectVersionStream.getNextMarker(response),
+        S3ListObjectVersionStream.mergeVersions(response),
+        _.map(response.CommonPrefixes, function (prefixObject) {
+          return prefixObject.Prefix;
+        })
+      );
+    }
+  );
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3ListObjectVersionStream;
@@ -0,0 +1,392 @@
+/**
+ * @fileOverview S3ObjectOperationStream class definition.
+ */
+
+// Core.
+var Transform = require('stream').Transform;
+var util = require('util');
+
+// NPM.
+var async = require('async');
+var _ = require('lodash');
+
+// Local.
+var RateLimiter = require('../rateLimiter');
+var RetryPolicy = require('../retryPolicy');
+var S3ClientAdapter = require('../s3ClientAdapter');
+var S3ListObjectStream = require('./s3ListObjectStream');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class The base for object streams that carry out an S3 API operation for
+ * each of the S3 object definitions piped in, such as those emitted by
+ * S3ListObjectStream.
+ *
+ * Objects are processed concurrently, up to maxConcurrency at a time. When
+ * that many are in progress, no more are accepted until one completes, and
+ * while the consumer falls behind no more are started, so backpressure
+ * carries through to the stream piping in. The output must therefore be
+ * consumed for processing to continue.
+ *
+ * Subclasses implement processObject(), and may override complete() to push
+ * summary records before the stream ends.
+ *
+ * Destroying the stream, or aborting the signal provided to it, stops the
+ * processing and aborts any API requests in progress. If processing an object
+ * fails, the stream is destroyed with the error.
+ *
+ * @param {Object} options Standard stream options, plus the following.
+ * @param {AWS.S3|S3Client|Function} options.s3Client The client used for all
+ *   requests, as described in S3ClientAdapter.
+ * @param {Object} [options.s3Commands] For a v3 client, the @aws-sdk/client-s3
+ *   module. Only needed if this package can't load it.
+ * @param {Number} [options.maxConcurrency] Defaults to 10. The number of
+ *   objects to process at once.
+ * @param {RetryPolicy|Object} [options.retryPolicy] A RetryPolicy instance, or
+ *   options for one, governing how failed API requests are retried. Each
+ *   retry is emitted as a 'retry' event.
+ * @param {RateLimiter|Object} [options.rateLimiter] A RateLimiter instance, or
+ *   options for one, which API requests wait on.
+ * @param {AbortSignal} [options.signal] If provided, the stream is destroyed
+ *   with an AbortError when the signal is aborted.
+ */
+function S3ObjectOperationStream (options) {
+  var self = this;
+
+  options = options || {};
+  // Important; make this an object stream.
+  options.objectMode = true;
+
+  if (!options.s3Client) {
+    throw new Error('Missing options.s3Client');
+  }
+
+  this.s3Client = options.s3Client;
+  this.s3Commands = options.s3Commands;
+  this.maxConcurrency = options.maxConcurrency || 10;
+
+  this.retryPolicy = options.retryPolicy instanceof RetryPolicy ?
+    options.retryPolicy :
+    new RetryPolicy(options.retryPolicy);
+
+  if (options.rateLimiter) {
+    this.rateLimiter = options.rateLimiter instanceof RateLimiter ?
+      options.rateLimiter :
+      new RateLimiter(options.rateLimiter);
+  }
+
+  // Objects accepted and not yet processed, whether queued or in progress.
+  this.pendingCount = 0;
+  // The callback for the incoming object that filled the queue, invoked when
+  // there is room for another.
+  this.transformCallback = undefined;
+  // Invoked when all accepted objects are processed, once flushing.
+  this.onIdle = undefined;
+  // Functions waiting for the consumer to read more before continuing.
+  this.readWaiters = [];
+
+  // API requests in progress, to be aborted if the stream is destroyed.
+  this.activeRequests = [];
+  this.stopListeningForAbort = _.noop;
+
+  this.queue = async.queue(function (s3Object, callback) {
+    self.processObject(s3Object, function (error, results) {
+      if (error) {
+        return callback(error);
+      }
+
+      self.pushResults(results, callback);
+    });
+  }, this.maxConcurrency);
+
+  S3ObjectOperationStream.super_.call(this, _.omit(options, ['signal', 's3Client', 's3Commands']));
+
+  if (options.signal) {
+    this.listenForAbort(options.signal);
+  }
+}
+
+util.inherits(S3ObjectOperationStream, Transform);
+
+//---------------------------------------------------------------------------
+// Functions.
+//---------------------------------------------------------------------------
+
+/**
+ * Is this error the result of the object no longer existing, such as when it
+ * was deleted after it was listed?
+ *
+ * @param {Error} error An error.
+ * @return {Boolean} True if the object was not found.
+ */
+S3ObjectOperationStream.isNotFoundError = function (error) {
+  return error.code === 'NotFound' ||
+    error.code === 'NoSuchKey' ||
+    error.code === 'NoSuchVersion' ||
+    error.statusCode === 404;
+};
+
+/**
+ * Obtain the 'directory' containing a key, which is the prefix used to rate
+ * limit requests for the object.
+ *
+ * @param {String} [key] The key.
+ * @return {String} The key up to and including the last '/', or an empty
+ *   string if there is no '/'.
+ */
+S3ObjectOperationStream.getKeyPrefix = function (key) {
+  key = key || '';
+
+  return key.slice(0, key.lastIndexOf('/') + 1);
+};
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+// The handling of cancellation, request tracking and rate limiting is the
+// same as for the listing streams.
+S3ObjectOperationStream.prototype.listenForAbort = S3ListObjectStream.prototype.listenForAbort;
+S3ObjectOperationStream.prototype.sendRequest = S3ListObjectStream.prototype.sendRequest;
+S3ObjectOperationStream.prototype.abortRequests = S3ListObjectStream.prototype.abortRequests;
+S3ObjectOperationStream.prototype.waitForRateLimit = S3ListObjectStream.prototype.waitForRateLimit;
+
+/**
+ * Carry out the operation for one S3 object. Subclasses must implement this.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Function} callback Of the form function (error, results), where the
+ *   results are an object or array of objects to push, or undefined to push
+ *   nothing.
+ */
+S3ObjectOperationStream.prototype.processObject = function (s3Object, callback) {
+  callback(new Error('processObject() is not implemented'));
+};
+
+/**
+ * Invoked once all of the incoming objects are processed, before the stream
+ * ends. Subclasses may override this to push summary records.
+ *
+ * @param {Function} callback Of the form function (error).
+ */
+S3ObjectOperationStream.prototype.complete = function (callback) {
+  callback();
+};
+
+/**
+ * Make an S3 API request, retrying on error according to the retry policy.
+ * Each attempt waits on the rate limiter, if there is one. The prefix limit of
+ * the rate limiter applies to the 'directory' of the key, so requests share it
+ * with the concurrent listing streams' listings of that 'directory', and with
+ * listings written to any listing stream with that exact prefix.
+ *
+ * @param {String} operation The v2 method name, such as 'headObject'.
+ * @param {Object} params The request parameters.
+ * @param {Function} callback Of the form function (error, response).
+ */
+S3ObjectOperationStream.prototype.request = function (operation, params, callback) {
+  var self = this;
+  var scope = {
+    bucket: params.Bucket,
+    prefix: S3ObjectOperationStream.getKeyPrefix(params.Key)
+  };
+
+  this.retryPolicy.run(
+    function (retryCallback) {
+      self.waitForRateLimit(scope, function () {
+        if (self.destroyed) {
+          return;
+        }
+
+        self.sendRequest(function (requestCallback) {
+          return S3ClientAdapter.request(
+            self.s3Client,
+            self.s3Commands,
+            operation,
+            params,
+            requestCallback
+          );
+        }, retryCallback);
+      });
+    },
+    function (error, attempt) {
+      self.emit('retry', {
+        error: error,
+        attempt: attempt
+      });
+    },
+    callback
+  );
+};
+
+/**
+ * Push results to the stream, waiting for the consumer if it has fallen
+ * behind.
+ *
+ * @param {Object|Object[]|undefined} results The results to push.
+ * @param {Function} callback Invoked when more objects can be processed.
+ */
+S3ObjectOperationStream.prototype.pushResults = function (results, callback) {
+  var self = this;
+  var isFull = false;
+
+  if (results === undefined) {
+    return callback();
+  }
+
+  _.each(_.castArray(results), function (result) {
+    if (self.push(result) === false) {
+      isFull = true;
+    }
+  });
+
+  if (isFull) {
+    return this.waitForRead(callback);
+  }
+
+  callback();
+};
+
+/**
+ * Wait for the consumer to read more from the stream before continuing, and
+ * stop starting new objects in the meanwhile.
+ *
+ * @param {Function} callback Invoked on the next read.
+ */
+S3ObjectOperationStream.prototype.waitForRead = function (callback) {
+  this.queue.pause();
+  this.readWaiters.push(callback);
+};
+
+/**
+ * Note that an object has been processed, and accept another if the queue
+ * was full.
+ */
+S3ObjectOperationStream.prototype.objectProcessed = function () {
+  var transformCallback = this.transformCallback;
+  var onIdle = this.onIdle;
+
+  this.pendingCount--;
+
+  if (transformCallback) {
+    this.transformCallback = undefined;
+    transformCallback();
+  }
+
+  if (onIdle && this.pendingCount === 0) {
+    this.onIdle = undefined;
+    onIdle();
+  }
+};
+
+/**
+ * Add an item to the queue for processObject(). Subclasses that group objects
+ * before processing them can call this directly.
+ *
+ * @param {Object} item The item to process.
+ * @param {Function} callback Invoked when another item can be accepted.
+ */
+S3ObjectOperationStream.prototype.enqueue = function (item, callback) {
+  var self = this;
+
+  this.pendingCount++;
+  this.queue.push(item, function (error) {
+    if (error) {
+      return self.destroy(error);
+    }
+
+    self.objectProcessed();
+  });
+
+  if (this.pendingCount < this.maxConcurrency) {
+    callback();
+  }
+  else {
+    this.transformCallback = callback;
+  }
+};
+
+/**
+ * Implementation of the necessary transform method.
+ *
+ * @param {Object} data An S3 object definition.
+ * @param {String} encoding Irrelevant since this is an object stream.
+ * @param {Function} callback Invoked when another object can be accepted.
+ */
+S3ObjectOperationStream.prototype._transform = function (data, encoding, callback) {
+  if (
+    !data ||
+    typeof data.Bucket !== 'string' ||
+    typeof data.Key !== 'string'
+  ) {
+    return callback(new Error('Invalid S3 object definition provided: ' + JSON.stringify(data)));
+  }
+
+  this.enqueue(data, callback);
+};
+
+/**
+ * Implementation of the read method, invoked when the consumer wants more
+ * data. Continues the objects that were waiting for the consumer.
+ *
+ * @param {Number} size Irrelevant since this is an object stream.
+ */
+S3ObjectOperationStream.prototype._read = function (size) {
+  var readWaiters = this.readWaiters;
+
+  this.readWaiters = [];
+  this.queue.resume();
+
+  readWaiters.forEach(function (readWaiter) {
+    readWaiter();
+  });
+
+  S3ObjectOperationStream.super_.prototype._read.call(this, size);
+};
+
+/**
+ * Implementation of the flush method, invoked after all of the incoming
+ * objects are accepted. Waits for them to be processed before the stream
+ * ends.
+ *
+ * @param {Function} callback Invoked when the stream can end.
+ */
+S3ObjectOperationStream.prototype._flush = function (callback) {
+  var self = this;
+
+  function complete () {
+    self.complete(callback);
+  }
+
+  if (this.pendingCount === 0) {
+    return complete();
+  }
+
+  this.onIdle = complete;
+};
+
+/**
+ * Implementation of the destroy method. Stops the processing, discarding the
+ * objects waiting in the queue, and aborts any API requests in progress.
+ *
+ * @param {Error|null} error The error the stream is destroyed with, if any.
+ * @param {Function} callback Invoked when the stream is destroyed.
+ */
+S3ObjectOperationStream.prototype._destroy = function (error, callback) {
+  this.stopListeningForAbort();
+  this.queue.kill();
+  this.readWaiters = [];
+  this.transformCallback = undefined;
+  this.onIdle = undefined;
+  this.abortRequests();
+  callback(error);
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3ObjectOperationStream;
@@ -0,0 +1,109 @@
+/**
+ * @fileOverview S3ObjectTaggingStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var S3ObjectOperationStream = require('./s3ObjectOperationStream');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to add the tags from the S3 getObjectTagging API
+ * to listed S3 objects.
+ *
+ * Pipe in S3 object definitions from S3ListObjectStream or another listing
+ * stream. If an object has a VersionId, the tags of that version are used.
+ * Delete markers from the version listing streams are passed through
+ * unchanged.
+ *
+ * Pipe out the same objects with the addition of a map of tags:
+ *
+ * {
+ *   Bucket: 'exampleBucket',
+ *   Key: ...
+ *   LastModified: ...
+ *   ETag: ...
+ *   Size: ...
+ *   StorageClass: ...
+ *   Tags: {
+ *     costCenter: 'exampleCostCenter'
+ *   }
+ * }
+ *
+ * @param {Object} options Options for S3ObjectOperationStream, plus the
+ *   following.
+ * @param {String} [options.notFound] Defaults to 'skip'. What to do with an
+ *   object that no longer exists: 'skip' to omit it, or 'pass' to pass it
+ *   through without tags.
+ */
+function S3ObjectTaggingStream (options) {
+  options = options || {};
+
+  if (options.notFound !== undefined && !_.includes(['skip', 'pass'], options.notFound)) {
+    throw new Error('Invalid options.notFound, expected skip or pass');
+  }
+
+  this.notFound = options.notFound || 'skip';
+
+  S3ObjectTaggingStream.super_.call(this, _.omit(options, 'notFound'));
+}
+
+util.inherits(S3ObjectTaggingStream, S3ObjectOperationStream);
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Obtain the tags for an object and add them.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Function} callback Of the form function (error, Object), where the
+ *   object is undefined if it is to be skipped.
+ */
+S3ObjectTaggingStream.prototype.processObject = function (s3Object, callback) {
+  var self = this;
+  var params = {
+    Bucket: s3Object.Bucket,
+    Key: s3Object.Key
+  };
+
+  if (s3Object.type === 'deleteMarker') {
+    return callback(null, s3Object);
+  }
+
+  if (s3Object.VersionId !== undefined) {
+    params.VersionId = s3Object.VersionId;
+  }
+
+  this.request('getObjectTagging', params, function (error, response) {
+    if (error && S3ObjectOperationStream.isNotFoundError(error)) {
+      // The object was deleted after it was listed.
+      return callback(null, self.notFound === 'pass' ? s3Object : undefined);
+    }
+    if (error) {
+      return callback(error);
+    }
+
+    s3Object.Tags = _.reduce(response.TagSet, function (tags, tag) {
+      tags[tag.Key] = tag.Value;
+      return tags;
+    }, {});
+
+    callback(null, s3Object);
+  });
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3ObjectTaggingStream;
@@ -0,0 +1,321 @@
+/**
+ * @fileOverview S3RestoreObjectStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var async = require('async');
+var _ = require('lodash');
+
+// Local.
+var constants = require('../constants');
+var S3ObjectOperationStream = require('./s3ObjectOperationStream');
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to restore listed S3 objects from the archive
+ * storage classes with the S3 restoreObject API.
+ *
+ * Pipe in S3 object definitions from S3ListObjectStream or another listing
+ * stream. A restore is requested for each object in the GLACIER or
+ * DEEP_ARCHIVE storage classes. Other objects and delete markers are skipped.
+ * If an object has a VersionId, that version is restored. A restore that is
+ * already in progress is treated as successfully requested.
+ *
+ * Pipe out a result for each object:
+ *
+ * {
+ *   // 'requested', 'inProgress' or 'skipped'.
+ *   status: 'requested',
+ *   // For skipped objects, 'notArchived' or 'deleteMarker'.
+ *   reason: ...
+ *   Bucket: 'exampleBucket',
+ *   Key: 'folder1/file1',
+ *   VersionId: ...
+ *   StorageClass: 'GLACIER',
+ *   // For requested restores.
+ *   tier: 'Standard',
+ *   days: 1
+ * }
+ *
+ * In polling mode, the Restore header of each requested object is checked with
+ * the headObject API once every pollInterval, and a restored event is emitted
+ * when the object can be read:
+ *
+ * {
+ *   Bucket: 'exampleBucket',
+ *   Key: 'folder1/file1',
+ *   VersionId: ...
+ *   // When the restored copy will be removed.
+ *   expiryDate: Date
+ * }
+ *
+ * The stream then only ends once all of the objects are restored, which can
+ * take hours.
+ *
+ * @param {Object} options Options for S3ObjectOperationStream, plus the
+ *   following.
+ * @param {String} [options.tier] Defaults to 'Standard'. The retrieval tier,
+ *   one of 'Expedited', 'Standard' or 'Bulk'.
+ * @param {Number} [options.days] Defaults to 1. How many days to keep the
+ *   restored copy.
+ * @param {Boolean} [options.poll] If true, watch for the objects to be
+ *   restored, and emit restored events.
+ * @param {Number} [options.pollInterval] Defaults to 15 minutes. The time in
+ *   milliseconds between checks on the objects being restored.
+ */
+function S3RestoreObjectStream (options) {
+  options = options || {};
+
+  if (
+    options.tier !== undefined &&
+    !_.includes(['Expedited', 'Standard', 'Bulk'], options.tier)
+  ) {
+    throw new Error('Invalid options.tier, expected Expedited, Standard or Bulk');
+  }
+
+  if (
+    options.days !== undefined &&
+    !(_.isInteger(options.days) && options.days > 0)
+  ) {
+    throw new Error('Invalid options.days, expected a positive integer');
+  }
+
+  this.tier = options.tier || 'Standard';
+  this.days = options.days || 1;
+  this.poll = !!options.poll;
+  this.pollInterval = options.pollInterval || 15 * 60 * 1000;
+
+  // Objects with restores requested, not yet restored, when polling.
+  this.restoring = [];
+  this.pollTimer = undefined;
+  // Invoked when all objects are restored, once flushing.
+  this.onRestored = undefined;
+
+  S3RestoreObjectStream.super_.call(this, _.omit(options, [
+    'tier',
+    'days',
+    'poll',
+    'pollInterval'
+  ]));
+}
+
+util.inherits(S3RestoreObjectStream, S3ObjectOperationStream);
+
+//---------------------------------------------------------------------------
+// Functions.
+//---------------------------------------------------------------------------
+
+/**
+ * Parse the Restore header from a headObject response, such as:
+ *
+ * ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"
+ *
+ * @param {String} [restore] The header value.
+ * @return {Object|null} With ongoing and expiryDate properties, or null if
+ *   there is no header.
+ */
+S3RestoreObjectStream.parseRestoreHeader = function (restore) {
+  var ongoing;
+  var expiryDate;
+
+  if (!restore) {
+    return null;
+  }
+
+  ongoing = /ongoing-request="([^"]*)"/.exec(restore);
+  expiryDate = /expiry-date="([^"]*)"/.exec(restore);
+
+  return {
+    ongoing: !ongoing || ongoing[1] !== 'false',
+    expiryDate: expiryDate ? new Date(expiryDate[1]) : undefined
+  };
+};
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Request a restore of an object, if it is archived.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Function} callback Of the form function (error, Object), with the
+ *   result for the object.
+ */
+S3RestoreObjectStream.prototype.processObject = function (s3Object, callback) {
+  var self = this;
+  var target = _.omitBy({
+    Bucket: s3Object.Bucket,
+    Key: s3Object.Key,
+    VersionId: s3Object.VersionId
+  }, _.isUndefined);
+  var result = _.omitBy(_.extend({
+    StorageClass: s3Object.StorageClass
+  }, target), _.isUndefined);
+  var params = _.extend({
+    RestoreRequest: {
+      Days: this.days,
+      GlacierJobParameters: {
+        Tier: this.tier
+      }
+    }
+  }, target);
+
+  function skip (reason) {
+    callback(null, _.extend({
+      status: 'skipped',
+      reason: reason
+    }, result));
+  }
+
+  if (s3Object.type === 'deleteMarker') {
+    return skip('deleteMarker');
+  }
+  if (!_.includes(constants.archiveStorageClasses, s3Object.StorageClass)) {
+    return skip('notArchived');
+  }
+
+  this.request('restoreObject', params, function (error) {
+    var status = 'requested';
+
+    if (error && error.code === 'RestoreAlreadyInProgress') {
+      status = 'inProgress';
+    }
+    else if (error) {
+      return callback(error);
+    }
+
+    if (self.poll) {
+      self.watchRestore(target);
+    }
+
+    callback(null, _.extend({
+      status: status,
+      tier: self.tier,
+      days: self.days
+    }, result));
+  });
+};
+
+/**
+ * Add an object to those being watched for the restore to complete, and start
+ * polling if not already doing so.
+ *
+ * @param {Object} target The Bucket, Key and VersionId of the object.
+ */
+S3RestoreObjectStream.prototype.watchRestore = function (target) {
+  this.restoring.push(target);
+
+  if (!this.pollTimer) {
+    this.schedulePoll();
+  }
+};
+
+/**
+ * Check on the objects being restored after the poll interval.
+ */
+S3RestoreObjectStream.prototype.schedulePoll = function () {
+  var self = this;
+
+  this.pollTimer = setTimeout(function () {
+    self.checkRestores(function (error) {
+      var onRestored;
+
+      self.pollTimer = undefined;
+
+      if (self.destroyed) {
+        return;
+      }
+      if (error) {
+        return self.destroy(error);
+      }
+
+      if (self.restoring.length) {
+        return self.schedulePoll();
+      }
+
+      if (self.onRestored) {
+        onRestored = self.onRestored;
+        self.onRestored = undefined;
+        onRestored();
+      }
+    });
+  }, this.pollInterval);
+};
+
+/**
+ * Check the Restore header of each object being restored, and emit a restored
+ * event for each that can now be read.
+ *
+ * @param {Function} callback Of the form function (error).
+ */
+S3RestoreObjectStream.prototype.checkRestores = function (callback) {
+  var self = this;
+
+  async.eachLimit(this.restoring.slice(), this.maxConcurrency, function (target, asyncCallback) {
+    self.request('headObject', target, function (error, response) {
+      var restore;
+
+      if (error && S3ObjectOperationStream.isNotFoundError(error)) {
+        // The object was deleted while being restored.
+        _.pull(self.restoring, target);
+        return asyncCallback();
+      }
+      if (error) {
+        return asyncCallback(error);
+      }
+
+      restore = S3RestoreObjectStream.parseRestoreHeader(response.Restore);
+
+      if (restore && !restore.ongoing) {
+        _.pull(self.restoring, target);
+        self.emit('restored', _.extend({
+          expiryDate: restore.expiryDate
+        }, target));
+      }
+
+      asyncCallback();
+    });
+  }, callback);
+};
+
+/**
+ * Once all restores are requested, wait for them to complete before the
+ * stream ends if polling.
+ *
+ * @param {Function} callback Of the form function (error).
+ */
+S3RestoreObjectStream.prototype.complete = function (callback) {
+  if (!this.restoring.length) {
+    return callback();
+  }
+
+  this.onRestored = callback;
+};
+
+/**
+ * Implementation of the destroy method. Stops polling as well as the
+ * processing of objects.
+ *
+ * @param {Error|null} error The error the stream is destroyed with, if any.
+ * @param {Function} callback Invoked when the stream is destroyed.
+ */
+S3RestoreObjectStream.prototype._destroy = function (error, callback) {
+  clearTimeout(this.pollTimer);
+  this.pollTimer = undefined;
+  this.restoring = [];
+  this.onRestored = undefined;
+  S3RestoreObjectStream.super_.prototype._destroy.call(this, error, callback);
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3RestoreObjectStream;
@@ -0,0 +1,265 @@
+/**
+ * @fileOverview S3StorageClassTransitionStream class definition.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var constants = require('../constants');
+var S3CopyObjectStream = require('./s3CopyObjectStream');
+
+// Bytes in a GB, as used in pricing.
+var GB = 1024 * 1024 * 1024;
+// The smallest billable size in the minimum size storage classes, and the
+// smallest object S3 lifecycle rules will transition by default.
+var MIN_BILLABLE_SIZE = 128 * 1024;
+// The additional index and metadata billed for each archived object.
+var ARCHIVE_INDEX_SIZE = 32 * 1024;
+var ARCHIVE_METADATA_SIZE = 8 * 1024;
+
+//---------------------------------------------------------------------------
+// Class constructor.
+//---------------------------------------------------------------------------
+
+/**
+ * @class An object stream to change the storage class of listed S3 objects in
+ * place, by copying each object to itself with the new storage class.
+ *
+ * Pipe in S3 object definitions from S3ListObjectStream or another listing
+ * stream. Objects that match the predicate are transitioned, keeping their
+ * metadata and tags. Objects are skipped if they are already in the storage
+ * class, are archived and not restored and so cannot be copied, or are
+ * smaller than the minimum size, which defaults to the 128KB below which S3
+ * lifecycle rules don't transition objects. Restored objects in the archive
+ * storage classes are transitioned, which moves them out of the archive. Delete markers and noncurrent
+ * versions from the version listing streams are also skipped.
+ *
+ * Pipe out a result for each object, with an estimate of the monthly storage
+ * cost before and after:
+ *
+ * {
+ *   // 'transitioned', 'skipped' or 'failed'.
+ *   status: 'transitioned',
+ *   // For skipped objects, one of 'predicate', 'sameStorageClass',
+ *   // 'archived', 'minimumSize', 'deleteMarker' or 'notLatest'.
+ *   reason: ...
+ *   // For failed objects, the code and message of the error, as for
+ *   // S3CopyObjectStream.
+ *   code: ...
+ *   message: ...
+ *   Bucket: 'exampleBucket',
+ *   Key: 'folder1/file1',
+ *   Size: 1048576,
+ *   before: {
+ *     StorageClass: 'STANDARD',
+ *     // In USD, or null if the price of the storage class is not known.
+ *     monthlyCost: 0.0000225
+ *   },
+ *   after: {
+ *     StorageClass: 'STANDARD_IA',
+ *     monthlyCost: 0.0000122
+ *   },
+ *   // The difference, which is 0 for skipped and failed objects.
+ *   estimatedMonthlySaving: 0.0000103
+ * }
+ *
+ * Note that S3 charges for objects deleted or transitioned out of some storage
+ * classes before a minimum duration, and for requests. These are not included
+ * in the estimates.
+ *
+ * @param {Object} options Options for S3ObjectOperationStream, plus the
+ *   following, and the partSize and multipartThreshold options of
+ *   S3CopyObjectStream.
+ * @param {String} options.storageClass The storage class to transition to.
+ * @param {Function} [options.predicate] Of the form function (s3Object),
+ *   returning true if the object should be transitioned. Defaults to all
+ *   objects.
+ * @param {Number} [options.minimumSize] Defaults to 128KB. Objects smaller than
+ *   this are skipped.
+ * @param {Object} [options.pricing] Prices in USD per GB per month by storage
+ *   class, overriding the default us-east-1 prices.
+ */
+function S3StorageClassTransitionStream (options) {
+  options = options || {};
+
+  this.pricing = _.extend({}, constants.storageClassPricing, options.pricing);
+
+  if (!_.has(this.pricing, options.storageClass)) {
+    throw new Error('Invalid options.storageClass, expected one of ' + _.keys(this.pricing).join(', '));
+  }
+
+  this.predicate = options.predicate || _.constant(true);
+  this.minimumSize = options.minimumSize === undefined ?
+    MIN_BILLABLE_SIZE :
+    options.minimumSize;
+
+  S3StorageClassTransitionStream.super_.call(this, _.extend(
+    _.omit(options, [
+      'predicate',
+      'minimumSize',
+      'pricing',
+      'targetBucket',
+      'metadata'
+    ]),
+    {
+      // Copy each object to itself, which S3 allows as the storage class
+      // changes. It would always exist with the same ETag.
+      rewriteKey: _.identity,
+      skipExisting: false
+    }
+  ));
+}
+
+util.inherits(S3StorageClassTransitionStream, S3CopyObjectStream);
+
+//---------------------------------------------------------------------------
+// Functions.
+//---------------------------------------------------------------------------
+
+/**
+ * Estimate the monthly cost of storing an object.
+ *
+ * @param {Number} size The object size in bytes.
+ * @param {String} storageClass The storage class.
+ * @param {Object} pricing Prices in USD per GB per month by storage class.
+ * @return {Number|null} The cost in USD, or null if the price of the storage
+ *   class is not known.
+ */
+S3StorageClassTransitionStream.estimateMonthlyCost = function (size, storageClass, pricing) {
+  var price = pricing[storageClass];
+
+  if (price === undefined) {
+    return null;
+  }
+
+  if (_.includes(constants.minimumSizeStorageClasses, storageClass)) {
+    return Math.max(size, MIN_BILLABLE_SIZE) * price / GB;
+  }
+
+  if (_.includes(constants.archiveStorageClasses, storageClass)) {
+    return (
+      (size + ARCHIVE_INDEX_SIZE) * price +
+      ARCHIVE_METADATA_SIZE * pricing.STANDARD
+    ) / GB;
+  }
+
+  return size * price / GB;
+};
+
+//---------------------------------------------------------------------------
+// Methods
+//---------------------------------------------------------------------------
+
+/**
+ * Determine why an object should not be transitioned, if it shouldn't. Whether
+ * an archived object is restored is only known once it is processed.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @return {String|undefined} The reason, or undefined to transition it.
+ */
+S3StorageClassTransitionStream.prototype.getSkipReason = function (s3Object) {
+  var storageClass = s3Object.StorageClass || constants.storageClass.STANDARD;
+
+  if (s3Object.type === 'deleteMarker') {
+    return 'deleteMarker';
+  }
+  // Copying a noncurrent version would make it current again.
+  if (s3Object.IsLatest === false) {
+    return 'notLatest';
+  }
+  if (!this.predicate(s3Object)) {
+    return 'predicate';
+  }
+  if (storageClass === this.storageClass) {
+    return 'sameStorageClass';
+  }
+  if (s3Object.Size < this.minimumSize) {
+    return 'minimumSize';
+  }
+};
+
+/**
+ * Transition an object, unless it should be skipped.
+ *
+ * @param {Object} s3Object An S3 object definition.
+ * @param {Function} callback Of the form function (error, Object), with the
+ *   result for the object.
+ */
+S3StorageClassTransitionStream.prototype.processObject = function (s3Object, callback) {
+  var self = this;
+  var reason = this.getSkipReason(s3Object);
+  var before = {
+    StorageClass: s3Object.StorageClass || constants.storageClass.STANDARD
+  };
+  var result = _.omitBy({
+    Bucket: s3Object.Bucket,
+    Key: s3Object.Key,
+    VersionId: s3Object.VersionId,
+    Size: s3Object.Size
+  }, _.isUndefined);
+
+  before.monthlyCost = S3StorageClassTransitionStream.estimateMonthlyCost(
+    s3Object.Size || 0,
+    before.StorageClass,
+    this.pricing
+  );
+
+  // The object is left as it was.
+  function unchanged (details) {
+    callback(null, _.extend(details, result, {
+      before: before,
+      after: before,
+      estimatedMonthlySaving: 0
+    }));
+  }
+
+  if (reason) {
+    return unchanged({
+      status: 'skipped',
+      reason: reason
+    });
+  }
+
+  S3StorageClassTransitionStream.super_.prototype.processObject.call(
+    this,
+    s3Object,
+    function (error, copyResult) {
+      var after = {
+        StorageClass: self.storageClass,
+        monthlyCost: S3StorageClassTransitionStream.estimateMonthlyCost(
+          s3Object.Size,
+          self.storageClass,
+          self.pricing
+        )
+      };
+
+      if (error) {
+        return callback(error);
+      }
+      // Archived objects that are not restored are skipped by the copy.
+      if (copyResult.status !== 'copied') {
+        return unchanged(_.pick(copyResult, ['status', 'reason', 'code', 'message']));
+      }
+
+      callback(null, _.extend({
+        status: 'transitioned'
+      }, result, {
+        before: before,
+        after: after,
+        estimatedMonthlySaving: before.monthlyCost === null ?
+          null :
+          before.monthlyCost - after.monthlyCost
+      }));
+    }
+  );
+};
+
+//---------------------------------------------------------------------------
+// Export class constructor.
+//---------------------------------------------------------------------------
+
+module.exports = S3StorageClassTransitionStream;
@@ -57,6 +57,9 @@ var constants = require('../constants');
  * @param {Number} [options.outputFactor] At 1, send an update for every object.
  *   At 10, only once every 10 objects. Defaults to 100. Updating is expensive
  *   for very large buckets or depths.
+ * @param {String} [options.tag] If provided, also group by the value of this
+ *   tag in the Tags map added by S3ObjectTaggingStream. Each total then has a
+ *   tag property with the value, or null for objects without the tag.
  */
 function S3UsageStream (options) {
   options = options || {};
@@ -66,6 +69,7 @@ function S3UsageStream (options) {
   this.delimiter = options.delimiter || '/';
   this.depth = options.depth || 0;
   this.outputFactor = options.outputFactor || 100;
+  this.tag = options.tag;
 
   // The running totals.
   this.totals = {};
@@ -81,6 +85,22 @@ util.inherits(S3UsageStream, Transform);
 // Methods
 //---------------------------------------------------------------------------
 
+/**
+ * Obtain the key for a running total, which also orders the totals by path
+ * and then tag value, with objects lacking the tag first.
+ *
+ * @param {String} path The bucket and key prefix.
+ * @param {String|null} [tagValue] The tag value, if grouping by tag.
+ * @return {String} The key.
+ */
+S3UsageStream.prototype.getTotalsKey = function (path, tagValue) {
+  if (!this.tag) {
+    return path;
+  }
+
+  return path + '\u0000' + (tagValue === null ? '' : '\u0001' + tagValue);
+};
+
 /**
  * Update the running totals and return a copy.
  *
@@ -90,6 +110,7 @@ util.inherits(S3UsageStream, Transform);
 S3UsageStream.prototype.updateTotals = function (s3Object, callback) {
   var self = this;
   var paths = [s3Object.Bucket];
+  var tagValue = null;
   var pathSegments;
   var index;
   var limit;
@@ -118,33 +139,43 @@ S3UsageStream.prototype.updateTotals = function (s3Object, callback) {
     }
   }
 
+  if (this.tag && _.has(s3Object.Tags, this.tag)) {
+    tagValue = s3Object.Tags[this.tag];
+  }
+
   // Run through each of the paths, add the totals.
   paths.forEach(function (path) {
+    var key = self.getTotalsKey(path, tagValue);
+
     // If we don't have a record for this path yet, then create one.
-    if (!self.totals[path]) {
+    if (!self.totals[key]) {
       var obj = {
         path: path,
         storageClass: {}
       };
 
+      if (self.tag) {
+        obj.tag = tagValue;
+      }
+
       _.each(constants.storageClass, function (storageClass) {
         obj.storageClass[storageClass] = {
           count: 0,
           size: 0
         }
       });
-      self.totals[path] = obj;
+      self.totals[key] = obj;
 
 
-      var index = _.sortedIndexBy(self.sortedTotals, self.totals[path], function (item) {
-        return item.path;
+      var index = _.sortedIndexBy(self.sortedTotals, self.totals[key], function (item) {
+        return self.getTotalsKey(item.path, item.tag);
       });
 
-      self.sortedTotals.splice(index, 0, self.totals[path]);
+      self.sortedTotals.splice(index, 0, self.totals[key]);
     }
 
-    self.totals[path].storageClass[s3Object.StorageClass].count++;
-    self.totals[path].storageClass[s3Object.StorageClass].size += s3Object.Size;
+    self.totals[key].storageClass[s3Object.StorageClass].count++;
+    self.totals[key].storageClass[s3Object.StorageClass].size += s3Object.Size;
   });
 
   // Sending on a cloned object is an expensive operation for very large buckets
@@ -0,0 +1,252 @@
+/**
+ * @fileOverview Tests for lib/helpers.
+ */
+
+// Core.
+var EventEmitter = require('events').EventEmitter;
+var Readable = require('stream').Readable;
+
+// NPM.
+var AWS = require('aws-sdk');
+
+// Local.
+var AbortError = require('../../lib/abortError');
+var constants = require('../../lib/constants');
+var helpers = require('../../lib/helpers');
+
+describe('lib/helpers', function () {
+  var config;
+  var sandbox;
+  var s3Client;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    s3Client = new AWS.S3();
+    sandbox.stub(s3Client, 'listObjects');
+    s3Client.listObjects.onCall(0).yields(null, {
+      IsTruncated: true,
+      Contents: [
+        { Key: 'a1', Size: 10, StorageClass: constants.storageClass.STANDARD },
+        { Key: 'a2', Size: 20, StorageClass: constants.storageClass.STANDARD }
+      ]
+    });
+    s3Client.listObjects.onCall(1).yields(null, {
+      IsTruncated: false,
+      Contents: [
+        { Key: 'b1', Size: 30, StorageClass: constants.storageClass.GLACIER }
+      ]
+    });
+
+    sandbox.stub(s3Client, 'listObjectsV2');
+    s3Client.listObjectsV2.yields(null, {
+      IsTruncated: false,
+      CommonPrefixes: [],
+      Contents: [
+        { Key: 'a1', Size: 10, StorageClass: constants.storageClass.STANDARD }
+      ]
+    });
+
+    config = {
+      s3Client: s3Client,
+      bucket: 'bucket'
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  /**
+   * Iterate over an async iterable, stopping after the given number of items
+   * if a limit is provided.
+   */
+  function collect (iterable, limit) {
+    var iterator = iterable[Symbol.asyncIterator]();
+    var items = [];
+
+    function next () {
+      if (items.length === limit) {
+        return iterator.return().then(function () {
+          return items;
+        });
+      }
+
+      return iterator.next().then(function (result) {
+        if (result.done) {
+          return items;
+        }
+
+        items.push(result.value);
+        return next();
+      });
+    }
+
+    return next();
+  }
+
+  describe('listObjects', function () {
+    it('iterates over the listed objects', function () {
+      return collect(helpers.listObjects(config)).then(function (s3Objects) {
+        expect(s3Objects.map(function (s3Object) {
+          return s3Object.Bucket + '/' + s3Object.Key;
+        })).to.eql(['bucket/a1', 'bucket/a2', 'bucket/b1']);
+      });
+    });
+
+    it('starts a new listing for each iteration', function () {
+      var iterable = helpers.listObjects(config);
+
+      sinon.assert.notCalled(s3Client.listObjects);
+
+      return collect(iterable).then(function () {
+        sinon.assert.callCount(s3Client.listObjects, 2);
+        s3Client.listObjects.reset();
+
+        return collect(iterable);
+      }).then(function (s3Objects) {
+        sinon.assert.callCount(s3Client.listObjects, 2);
+        expect(s3Objects.length).to.equal(3);
+      });
+    });
+
+    it('rejects on error', function () {
+      var error = new Error();
+
+      error.code = 'AccessDenied';
+      s3Client.listObjects.onCall(0).yields(error);
+
+      return collect(helpers.listObjects(config)).then(function () {
+        throw new Error('Expected a rejection.');
+      }, function (listError) {
+        expect(listError).to.equal(error);
+      });
+    });
+
+    it('aborts the listing when iteration ends early', function () {
+      var awsRequest = {
+        abort: sandbox.stub()
+      };
+
+      // The second page never arrives.
+      s3Client.listObjects.restore();
+      sandbox.stub(s3Client, 'listObjects');
+      s3Client.listObjects.onCall(0).yields(null, {
+        IsTruncated: true,
+        Contents: [
+          { Key: 'a1' },
+          { Key: 'a2' }
+        ]
+      });
+      s3Client.listObjects.onCall(1).returns(awsRequest);
+
+      return collect(helpers.listObjects(config), 1).then(function (s3Objects) {
+        expect(s3Objects.length).to.equal(1);
+        sinon.assert.calledOnce(awsRequest.abort);
+      });
+    });
+  });
+
+  describe('listObjectsConcurrently', function () {
+    it('iterates over the listed objects', function () {
+      return collect(helpers.listObjectsConcurrently(config, {
+        maxConcurrency: 2
+      })).then(function (s3Objects) {
+        expect(s3Objects).to.eql([
+          {
+            Bucket: 'bucket',
+            Key: 'a1',
+            Size: 10,
+            StorageClass: constants.storageClass.STANDARD
+          }
+        ]);
+      });
+    });
+  });
+
+  describe('computeUsage', function () {
+    it('resolves to the final totals from a stream', function () {
+      var source = new Readable({
+        objectMode: true,
+        read: function () {}
+      });
+
+      source.push({
+        Bucket: 'bucket',
+        Key: 'a1',
+        Size: 10,
+        StorageClass: constants.storageClass.STANDARD
+      });
+      source.push(null);
+
+      return helpers.computeUsage(source).then(function (totals) {
+        expect(totals.length).to.equal(1);
+        expect(totals[0].path).to.equal('bucket');
+        expect(totals[0].storageClass.STANDARD).to.eql({
+          count: 1,
+          size: 10
+        });
+      });
+    });
+
+    it('resolves to the final totals from an async iterable', function () {
+      return helpers.computeUsage(helpers.listObjects(config), {
+        outputFactor: 1
+      }).then(function (totals) {
+        expect(totals[0].storageClass.STANDARD).to.eql({
+          count: 2,
+          size: 30
+        });
+        expect(totals[0].storageClass.GLACIER).to.eql({
+          count: 1,
+          size: 30
+        });
+      });
+    });
+
+    it('rejects and destroys the source on error', function () {
+      var source = new Readable({
+        objectMode: true,
+        read: function () {}
+      });
+
+      source.push({
+        Bucket: 'bucket'
+      });
+
+      return helpers.computeUsage(source).then(function () {
+        throw new Error('Expected a rejection.');
+      }, function (error) {
+        expect(error.message).to.match(/^Invalid S3 object definition/);
+        expect(source.destroyed).to.equal(true);
+      });
+    });
+
+    it('rejects with an AbortError when the signal is aborted', function () {
+      var emitter = new EventEmitter();
+      var signal = {
+        aborted: false,
+        addEventListener: emitter.on.bind(emitter),
+        removeEventListener: emitter.removeListener.bind(emitter)
+      };
+      var source = new Readable({
+        objectMode: true,
+        read: function () {}
+      });
+      var promise = helpers.computeUsage(source, {
+        signal: signal
+      });
+
+      signal.aborted = true;
+      emitter.emit('abort');
+
+      return promise.then(function () {
+        throw new Error('Expected a rejection.');
+      }, function (error) {
+        expect(error).to.be.instanceOf(AbortError);
+        expect(source.destroyed).to.equal(true);
+        expect(emitter.listenerCount('abort')).to.equal(0);
+      });
+    });
+  });
+});
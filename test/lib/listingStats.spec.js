@@ -0,0 +1,93 @@
+/**
+ * @fileOverview Tests for lib/listingStats.
+ */
+
+// Local.
+var ListingStats = require('../../lib/listingStats');
+
+describe('lib/listingStats', function () {
+  var listingStats;
+  var now;
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+    now = new Date('2016-11-22T00:00:00.000Z').getTime();
+    sandbox.useFakeTimers(now, 'Date');
+
+    listingStats = new ListingStats();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('counts in total, by bucket and by input', function () {
+    var input1 = listingStats.addInput('bucket1', 'prefix/');
+    var input2 = listingStats.addInput('bucket1');
+
+    listingStats.requestStarted(input1);
+    listingStats.requestEnded(input1, new Error());
+    listingStats.increment(input1, 'retries');
+    listingStats.requestStarted(input1);
+    listingStats.requestEnded(input1);
+    listingStats.objectEmitted(input1, { Size: 10 });
+    listingStats.requestStarted(input2);
+    listingStats.objectEmitted(input2, {});
+    input1.complete = true;
+
+    sandbox.clock.tick(2000);
+
+    expect(listingStats.getSnapshot(3)).to.eql({
+      requests: 3,
+      pages: 1,
+      objects: 2,
+      bytes: 10,
+      retries: 1,
+      queueDepth: 3,
+      inFlight: 1,
+      elapsed: 2000,
+      objectsPerSecond: 1,
+      bytesPerSecond: 5,
+      buckets: {
+        bucket1: {
+          requests: 3,
+          pages: 1,
+          objects: 2,
+          bytes: 10,
+          retries: 1
+        }
+      },
+      inputs: [
+        {
+          bucket: 'bucket1',
+          prefix: 'prefix/',
+          complete: true,
+          requests: 2,
+          pages: 1,
+          objects: 1,
+          bytes: 10,
+          retries: 1
+        },
+        {
+          bucket: 'bucket1',
+          prefix: '',
+          complete: false,
+          requests: 1,
+          pages: 0,
+          objects: 1,
+          bytes: 0,
+          retries: 0
+        }
+      ]
+    });
+  });
+
+  it('counts totals for unknown inputs', function () {
+    listingStats.requestStarted();
+    listingStats.requestEnded();
+
+    expect(listingStats.getSnapshot(0).pages).to.equal(1);
+    expect(listingStats.getSnapshot(0).buckets).to.eql({});
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @fileOverview Tests for lib/rateLimiter.
+ */
+
+// Local.
+var RateLimiter = require('../../lib/rateLimiter');
+
+describe('lib/rateLimiter', function () {
+  var clock;
+  var rateLimiter;
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+    clock = sandbox.useFakeTimers();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('constructor', function () {
+    it('throws on an invalid rate', function () {
+      expect(function () {
+        return new RateLimiter({
+          requestsPerSecond: 0
+        });
+      }).to.throw(Error, 'Invalid options.requestsPerSecond, expected a positive number');
+    });
+  });
+
+  describe('getDelay', function () {
+    it('allows a burst of one second of requests, then spaces them', function () {
+      rateLimiter = new RateLimiter({
+        requestsPerSecond: 2
+      });
+
+      expect(rateLimiter.getDelay()).to.equal(0);
+      expect(rateLimiter.getDelay()).to.equal(0);
+      expect(rateLimiter.getDelay()).to.equal(500);
+      expect(rateLimiter.getDelay()).to.equal(1000);
+
+      // Waiting pays off the reservations.
+      clock.tick(1000);
+      expect(rateLimiter.getDelay()).to.equal(500);
+
+      clock.tick(5000);
+      expect(rateLimiter.getDelay()).to.equal(0);
+    });
+
+    it('limits each bucket and prefix separately', function () {
+      rateLimiter = new RateLimiter({
+        bucketRequestsPerSecond: 2,
+        prefixRequestsPerSecond: 1
+      });
+
+      expect(rateLimiter.getDelay({ bucket: 'a', prefix: 'x/' })).to.equal(0);
+      expect(rateLimiter.getDelay({ bucket: 'a', prefix: 'x/' })).to.equal(1000);
+      expect(rateLimiter.getDelay({ bucket: 'a', prefix: 'y/' })).to.equal(500);
+      expect(rateLimiter.getDelay({ bucket: 'b', prefix: 'x/' })).to.equal(0);
+      expect(rateLimiter.getDelay()).to.equal(0);
+    });
+  });
+
+  describe('acquire', function () {
+    it('calls back once a request is within the limit', function () {
+      var callback = sandbox.stub();
+
+      rateLimiter = new RateLimiter({
+        requestsPerSecond: 1
+      });
+
+      rateLimiter.acquire({}, callback);
+      sinon.assert.calledOnce(callback);
+
+      rateLimiter.acquire({}, callback);
+      sinon.assert.calledOnce(callback);
+      clock.tick(1000);
+      sinon.assert.calledTwice(callback);
+    });
+  });
+});
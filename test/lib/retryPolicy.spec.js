@@ -0,0 +1,138 @@
+/**
+ * @fileOverview Tests for lib/retryPolicy.
+ */
+
+// Local.
+var RetryPolicy = require('../../lib/retryPolicy');
+
+describe('lib/retryPolicy', function () {
+  var retryPolicy;
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+    retryPolicy = new RetryPolicy({
+      baseDelay: 1
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  /**
+   * Create an error with the given properties.
+   *
+   * @param {Object} properties Properties to add to the error.
+   * @return {Error} The error.
+   */
+  function createError (properties) {
+    var error = new Error();
+    Object.keys(properties).forEach(function (key) {
+      error[key] = properties[key];
+    });
+    return error;
+  }
+
+  describe('isRetryable', function () {
+    it('retries throttling, 5xx and network errors', function () {
+      expect(retryPolicy.isRetryable(createError({ code: 'SlowDown' }))).to.equal(true);
+      expect(retryPolicy.isRetryable(createError({ code: 'ECONNRESET' }))).to.equal(true);
+      expect(retryPolicy.isRetryable(createError({ statusCode: 500 }))).to.equal(true);
+    });
+
+    it('does not retry other client errors', function () {
+      expect(retryPolicy.isRetryable(createError({ code: 'AccessDenied' }))).to.equal(false);
+      expect(retryPolicy.isRetryable(createError({ code: 'NoSuchBucket' }))).to.equal(false);
+      expect(retryPolicy.isRetryable(createError({ statusCode: 400 }))).to.equal(false);
+    });
+
+    it('uses the retryable flag of errors otherwise', function () {
+      expect(retryPolicy.isRetryable(createError({ retryable: false }))).to.equal(false);
+      expect(retryPolicy.isRetryable(new Error())).to.equal(true);
+    });
+
+    it('can be replaced', function () {
+      retryPolicy = new RetryPolicy({
+        isRetryable: function (error) {
+          return error.code === 'Custom';
+        }
+      });
+
+      expect(retryPolicy.isRetryable(createError({ code: 'Custom' }))).to.equal(true);
+      expect(retryPolicy.isRetryable(createError({ code: 'SlowDown' }))).to.equal(false);
+    });
+  });
+
+  describe('getDelay', function () {
+    it('backs off exponentially up to the maximum', function () {
+      retryPolicy = new RetryPolicy({
+        baseDelay: 100,
+        maxDelay: 300,
+        jitter: false
+      });
+
+      expect(retryPolicy.getDelay(1)).to.equal(100);
+      expect(retryPolicy.getDelay(2)).to.equal(200);
+      expect(retryPolicy.getDelay(3)).to.equal(300);
+    });
+
+    it('adds jitter', function () {
+      sandbox.stub(Math, 'random').returns(0.5);
+      retryPolicy = new RetryPolicy({
+        baseDelay: 100
+      });
+
+      expect(retryPolicy.getDelay(2)).to.equal(100);
+    });
+  });
+
+  describe('run', function () {
+    var onRetry;
+    var operation;
+
+    beforeEach(function () {
+      onRetry = sandbox.stub();
+      operation = sandbox.stub();
+    });
+
+    it('retries until success', function (done) {
+      var error = new Error();
+      operation.onCall(0).yields(error);
+      operation.onCall(1).yields(null, 'result');
+
+      retryPolicy.run(operation, onRetry, function (runError, result) {
+        sinon.assert.callCount(operation, 2);
+        sinon.assert.calledOnce(onRetry);
+        sinon.assert.calledWith(onRetry, error, 1);
+        expect(result).to.equal('result');
+
+        done(runError);
+      });
+    });
+
+    it('yields the error after the last attempt', function (done) {
+      operation.yields(new Error());
+
+      retryPolicy.run(operation, onRetry, function (error) {
+        sinon.assert.callCount(operation, 3);
+        sinon.assert.callCount(onRetry, 2);
+        expect(error).to.be.instanceOf(Error);
+
+        done();
+      });
+    });
+
+    it('does not retry non-retryable errors', function (done) {
+      operation.yields(createError({ code: 'AccessDenied' }));
+
+      retryPolicy.run(operation, onRetry, function (error) {
+        sinon.assert.callCount(operation, 1);
+        sinon.assert.notCalled(onRetry);
+        expect(error.code).to.equal('AccessDenied');
+
+        done();
+      });
+    });
+  });
+});
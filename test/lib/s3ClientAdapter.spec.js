@@ -0,0 +1,157 @@
+/**
+ * @fileOverview Tests for lib/s3ClientAdapter.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+var _ = require('lodash');
+
+// Local.
+var S3ClientAdapter = require('../../lib/s3ClientAdapter');
+
+describe('lib/s3ClientAdapter', function () {
+  var commands;
+  var params;
+  var response;
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    params = {
+      Bucket: 'bucket'
+    };
+    response = {
+      IsTruncated: false,
+      Contents: [
+        { Key: 'a1' }
+      ]
+    };
+
+    // Stand-ins for the command classes of @aws-sdk/client-s3.
+    commands = {
+      ListObjectsV2Command: function (input) {
+        this.input = input;
+      }
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('constructor', function () {
+    it('detects the kind of client', function () {
+      expect(new S3ClientAdapter(new AWS.S3()).type).to.equal('v2');
+      expect(new S3ClientAdapter({ send: function () {} }).type).to.equal('v3');
+      expect(new S3ClientAdapter(function () {}).type).to.equal('function');
+    });
+
+    it('throws without a client', function () {
+      expect(function () {
+        return new S3ClientAdapter();
+      }).to.throw(Error, 'Missing s3Client');
+    });
+  });
+
+  describe('request', function () {
+    it('calls a v2 client method', function (done) {
+      var awsRequest = {
+        abort: function () {}
+      };
+      var s3Client = new AWS.S3();
+
+      sandbox.stub(s3Client, 'listObjectsV2').yields(null, response).returns(awsRequest);
+
+      expect(S3ClientAdapter.request(
+        s3Client,
+        undefined,
+        'listObjectsV2',
+        params,
+        function (error, result) {
+          sinon.assert.calledWith(s3Client.listObjectsV2, params, sinon.match.func);
+          expect(result).to.equal(response);
+          done(error);
+        }
+      )).to.equal(awsRequest);
+    });
+
+    it('sends a command to a v3 client', function (done) {
+      var s3Client = {
+        send: sandbox.stub().returns(Promise.resolve(_.extend({
+          $metadata: {
+            httpStatusCode: 200
+          }
+        }, response)))
+      };
+      var adapter = new S3ClientAdapter(s3Client, commands);
+
+      adapter.request('listObjectsV2', params, function (error, result) {
+        var command = s3Client.send.getCall(0).args[0];
+
+        expect(command).to.be.instanceOf(commands.ListObjectsV2Command);
+        expect(command.input).to.equal(params);
+        expect(result).to.eql(response);
+        done(error);
+      });
+    });
+
+    it('uses the commands given to a request', function (done) {
+      var s3Client = {
+        send: sandbox.stub().returns(Promise.resolve(response))
+      };
+
+      S3ClientAdapter.request(s3Client, commands, 'listObjectsV2', params, function (error) {
+        expect(s3Client.send.getCall(0).args[0]).to.be.instanceOf(
+          commands.ListObjectsV2Command
+        );
+        done(error);
+      });
+    });
+
+    it('normalizes v3 errors', function (done) {
+      var v3Error = new Error();
+      var s3Client = {
+        send: sandbox.stub().returns(Promise.reject(v3Error))
+      };
+      var adapter = new S3ClientAdapter(s3Client, commands);
+
+      v3Error.name = 'SlowDown';
+      v3Error.$metadata = {
+        httpStatusCode: 503
+      };
+      v3Error.$retryable = {
+        throttling: true
+      };
+
+      adapter.request('listObjectsV2', params, function (error) {
+        expect(error).to.equal(v3Error);
+        expect(error.code).to.equal('SlowDown');
+        expect(error.statusCode).to.equal(503);
+        expect(error.retryable).to.equal(true);
+        done();
+      });
+    });
+
+    it('yields an error for a command that is not available', function (done) {
+      var adapter = new S3ClientAdapter({
+        send: sandbox.stub()
+      }, commands);
+
+      adapter.request('listParts', params, function (error) {
+        expect(error.message).to.equal('No ListPartsCommand is available for a v3 client');
+        done();
+      });
+    });
+
+    it('calls a function client', function (done) {
+      var s3Client = sandbox.stub().returns(Promise.resolve(response));
+
+      S3ClientAdapter.request(s3Client, undefined, 'listObjectsV2', params, function (error, result) {
+        sinon.assert.calledWith(s3Client, 'listObjectsV2', params, sinon.match.object);
+        expect(result).to.eql(response);
+        done(error);
+      });
+    });
+  });
+});
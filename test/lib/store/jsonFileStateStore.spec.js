@@ -0,0 +1,80 @@
+/**
+ * @fileOverview Tests for lib/store/jsonFileStateStore.
+ */
+
+// Core.
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// Local.
+var JsonFileStateStore = require('../../../lib/store/jsonFileStateStore');
+
+describe('lib/store/jsonFileStateStore', function () {
+  var filePath;
+  var jsonFileStateStore;
+  var state;
+
+  beforeEach(function () {
+    filePath = path.join(
+      os.tmpdir(),
+      's3-object-streams-state-' + process.pid + '-' + Date.now() + '.json'
+    );
+    jsonFileStateStore = new JsonFileStateStore({
+      path: filePath
+    });
+    state = {
+      tasks: [
+        {
+          bucket: 'bucket',
+          prefix: 'prefix/',
+          continuationToken: 'token'
+        }
+      ],
+      completed: []
+    };
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('throws for missing options.path', function () {
+    expect(function () {
+      new JsonFileStateStore();
+    }).to.throw(Error);
+  });
+
+  it('saves and loads state', function (done) {
+    jsonFileStateStore.save(state, function (error) {
+      if (error) {
+        return done(error);
+      }
+
+      expect(fs.existsSync(filePath + '.tmp')).to.equal(false);
+
+      jsonFileStateStore.load(function (error, loadedState) {
+        expect(loadedState).to.eql(state);
+        done(error);
+      });
+    });
+  });
+
+  it('loads undefined if there is no saved state', function (done) {
+    jsonFileStateStore.load(function (error, loadedState) {
+      expect(loadedState).to.equal(undefined);
+      done(error);
+    });
+  });
+
+  it('yields error for an invalid file', function (done) {
+    fs.writeFileSync(filePath, '{');
+
+    jsonFileStateStore.load(function (error) {
+      expect(error).to.be.instanceOf(Error);
+      done();
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @fileOverview Tests for lib/stream/s3AclAuditStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+
+// Local.
+var constants = require('../../../lib/constants');
+var S3AclAuditStream = require('../../../lib/stream/s3AclAuditStream');
+
+describe('lib/stream/s3AclAuditStream', function () {
+  var getObjectAclResponse;
+  var sandbox;
+  var s3AclAuditStream;
+  var s3Client;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    getObjectAclResponse = {
+      Owner: {
+        ID: 'owner'
+      },
+      Grants: [
+        {
+          Grantee: {
+            Type: 'CanonicalUser',
+            ID: 'owner'
+          },
+          Permission: 'FULL_CONTROL'
+        },
+        {
+          Grantee: {
+            Type: 'Group',
+            URI: constants.aclGroupUri.ALL_USERS
+          },
+          Permission: 'READ'
+        },
+        {
+          Grantee: {
+            Type: 'CanonicalUser',
+            ID: 'partner'
+          },
+          Permission: 'READ'
+        },
+        {
+          Grantee: {
+            Type: 'AmazonCustomerByEmail',
+            EmailAddress: 'someone@example.com'
+          },
+          Permission: 'WRITE_ACP'
+        }
+      ]
+    };
+
+    s3Client = new AWS.S3();
+    sandbox.stub(s3Client, 'getObjectAcl');
+    s3Client.getObjectAcl.yields(null, getObjectAclResponse);
+
+    s3AclAuditStream = new S3AclAuditStream({
+      s3Client: s3Client,
+      allowedAccounts: ['partner']
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('getFindingReason', function () {
+    it('flags public groups', function () {
+      expect(s3AclAuditStream.getFindingReason({
+        Grantee: {
+          Type: 'Group',
+          URI: constants.aclGroupUri.AUTHENTICATED_USERS
+        }
+      })).to.equal('AuthenticatedUsers');
+      expect(s3AclAuditStream.getFindingReason({
+        Grantee: {
+          Type: 'Group',
+          URI: 'http://acs.amazonaws.com/groups/s3/LogDelivery'
+        }
+      })).to.equal(undefined);
+    });
+
+    it('only flags accounts if there is an allow-list', function () {
+      var grant = getObjectAclResponse.Grants[3];
+
+      expect(s3AclAuditStream.getFindingReason(grant)).to.equal('account');
+
+      s3AclAuditStream.allowedAccounts = undefined;
+      expect(s3AclAuditStream.getFindingReason(grant)).to.equal(undefined);
+    });
+  });
+
+  describe('getPrefix', function () {
+    it('groups by bucket and folders to the depth', function () {
+      expect(s3AclAuditStream.getPrefix({ Bucket: 'bucket', Key: 'a/b/c' })).to.equal('bucket/a');
+      expect(s3AclAuditStream.getPrefix({ Bucket: 'bucket', Key: 'c' })).to.equal('bucket');
+
+      s3AclAuditStream.depth = 0;
+      expect(s3AclAuditStream.getPrefix({ Bucket: 'bucket', Key: 'a/b/c' })).to.equal('bucket');
+    });
+  });
+
+  describe('processObject', function () {
+    it('yields the findings', function (done) {
+      s3AclAuditStream.processObject({
+        Bucket: 'bucket',
+        Key: 'a/1',
+        VersionId: 'v1'
+      }, function (error, findings) {
+        sinon.assert.calledWith(s3Client.getObjectAcl, {
+          Bucket: 'bucket',
+          Key: 'a/1',
+          VersionId: 'v1'
+        });
+        expect(findings).to.eql([
+          {
+            type: 'finding',
+            Bucket: 'bucket',
+            Key: 'a/1',
+            VersionId: 'v1',
+            reason: 'AllUsers',
+            grantee: getObjectAclResponse.Grants[1].Grantee,
+            permission: 'READ'
+          },
+          {
+            type: 'finding',
+            Bucket: 'bucket',
+            Key: 'a/1',
+            VersionId: 'v1',
+            reason: 'account',
+            grantee: getObjectAclResponse.Grants[3].Grantee,
+            permission: 'WRITE_ACP'
+          }
+        ]);
+        expect(s3AclAuditStream.prefixCounts).to.eql({
+          'bucket/a': 2
+        });
+        done(error);
+      });
+    });
+
+    it('skips delete markers', function (done) {
+      s3AclAuditStream.processObject({
+        Bucket: 'bucket',
+        Key: 'a/1',
+        type: 'deleteMarker'
+      }, function (error, findings) {
+        sinon.assert.notCalled(s3Client.getObjectAcl);
+        expect(findings).to.equal(undefined);
+        done(error);
+      });
+    });
+  });
+
+  describe('streaming', function () {
+    it('emits findings and then a summary', function (done) {
+      var results = [];
+
+      s3Client.getObjectAcl.onCall(1).yields(null, {
+        Owner: getObjectAclResponse.Owner,
+        Grants: [getObjectAclResponse.Grants[0]]
+      });
+
+      s3AclAuditStream.on('data', function (result) {
+        results.push(result);
+      });
+      s3AclAuditStream.on('end', function () {
+        expect(results.length).to.equal(5);
+        expect(results[4]).to.eql({
+          type: 'summary',
+          objectCount: 3,
+          findingCount: 4,
+          prefixes: {
+            'bucket/a': 2,
+            'bucket/b': 2
+          }
+        });
+        done();
+      });
+
+      s3AclAuditStream.write({ Bucket: 'bucket', Key: 'a/1' });
+      s3AclAuditStream.write({ Bucket: 'bucket', Key: 'a/2' });
+      s3AclAuditStream.write({ Bucket: 'bucket', Key: 'b/1' });
+      s3AclAuditStream.end();
+    });
+  });
+});
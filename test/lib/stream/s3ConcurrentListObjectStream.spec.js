@@ -2,11 +2,16 @@
  * @fileOverview Tests for lib/stream/s3ConcurrentListObjectStream.
  */
 
+// Core.
+var EventEmitter = require('events').EventEmitter;
+
 // NPM.
 var AWS = require('aws-sdk');
 var _ = require('lodash');
 
 // Local.
+var AbortError = require('../../../lib/abortError');
+var RateLimiter = require('../../../lib/rateLimiter');
 var S3ConcurrentListObjectStream = require('../../../lib/stream/s3ConcurrentListObjectStream');
 
 describe('lib/stream/s3ConcurrentListObjectStream', function () {
@@ -62,6 +67,24 @@ describe('lib/stream/s3ConcurrentListObjectStream', function () {
     sandbox.restore();
   });
 
+  /**
+   * Create an object that behaves as an AbortSignal for the purposes of
+   * these tests.
+   */
+  function createSignal () {
+    var emitter = new EventEmitter();
+
+    return {
+      aborted: false,
+      addEventListener: emitter.on.bind(emitter),
+      removeEventListener: emitter.removeListener.bind(emitter),
+      abort: function () {
+        this.aborted = true;
+        emitter.emit('abort');
+      }
+    };
+  }
+
   describe('listDirectoryPage', function () {
     var options;
 
@@ -103,6 +126,82 @@ describe('lib/stream/s3ConcurrentListObjectStream', function () {
       );
     });
 
+    it('passes request options and decodes URL encoded keys', function (done) {
+      options.requestPayer = 'requester';
+      options.expectedBucketOwner = '111122223333';
+      options.encodingType = 'url';
+      s3Client.listObjectsV2.onCall(0).yields(null, {
+        IsTruncated: false,
+        CommonPrefixes: [
+          { Prefix: 'prefix/a%0D+b/' }
+        ],
+        Contents: [
+          { Key: 'prefix/a%0D+b%2B1' }
+        ]
+      });
+
+      s3ConcurrentListObjectStream.listDirectoryPage(
+        options,
+        function (error, nextContinuationToken, s3Objects, commonPrefixes) {
+          expect(s3Client.listObjectsV2.getCall(0).args[0]).to.include({
+            RequestPayer: 'requester',
+            ExpectedBucketOwner: '111122223333',
+            EncodingType: 'url'
+          });
+          expect(s3Objects).to.eql([
+            { Key: 'prefix/a\r b+1' }
+          ]);
+          expect(commonPrefixes).to.eql(['prefix/a\r b/']);
+
+          done(error);
+        }
+      );
+    });
+
+    it('waits on the rate limiter', function () {
+      var clock = sandbox.useFakeTimers();
+      var callback = sandbox.stub();
+
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        rateLimiter: new RateLimiter({
+          requestsPerSecond: 1
+        })
+      });
+
+      options.input = {
+        stats: s3ConcurrentListObjectStream.stats.addInput('bucket', 'prefix/')
+      };
+      s3ConcurrentListObjectStream.listDirectoryPage(options, callback);
+      s3ConcurrentListObjectStream.listDirectoryPage(options, callback);
+
+      sinon.assert.calledOnce(s3Client.listObjectsV2);
+      clock.tick(1000);
+      sinon.assert.calledTwice(s3Client.listObjectsV2);
+    });
+
+    it('rate limits by the prefix being listed', function (done) {
+      var rateLimiter = new RateLimiter({
+        prefixRequestsPerSecond: 10
+      });
+
+      sandbox.stub(rateLimiter, 'acquire').yields();
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        rateLimiter: rateLimiter
+      });
+
+      options.prefix = 'prefix/b/';
+      options.input = {
+        stats: s3ConcurrentListObjectStream.stats.addInput('bucket', 'prefix/')
+      };
+      s3ConcurrentListObjectStream.listDirectoryPage(options, function (error) {
+        sinon.assert.calledWith(rateLimiter.acquire, {
+          bucket: 'bucket',
+          prefix: 'prefix/b/'
+        });
+        done(error);
+      });
+    });
+
     it('yields error on API error', function (done) {
       s3Client.listObjectsV2.onCall(0).yields(new Error());
       s3Client.listObjectsV2.onCall(1).yields(new Error());
@@ -117,6 +216,174 @@ describe('lib/stream/s3ConcurrentListObjectStream', function () {
         }
       );
     });
+
+    it('does not retry non-retryable errors', function (done) {
+      var error = new Error();
+      error.code = 'AccessDenied';
+      s3Client.listObjectsV2.onCall(0).yields(error);
+
+      s3ConcurrentListObjectStream.listDirectoryPage(
+        options,
+        function (error) {
+          sinon.assert.callCount(s3Client.listObjectsV2, 1);
+          expect(error.code).to.equal('AccessDenied');
+          done();
+        }
+      );
+    });
+  });
+
+  describe('adaptive concurrency', function () {
+    var events;
+    var throttlingError;
+
+    beforeEach(function () {
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        adaptiveConcurrency: true,
+        maxConcurrency: 8,
+        minConcurrency: 2
+      });
+      sandbox.stub(s3ConcurrentListObjectStream, 'push');
+
+      events = [];
+      s3ConcurrentListObjectStream.on('concurrency', function (event) {
+        events.push(event);
+      });
+
+      throttlingError = new Error();
+      throttlingError.code = 'SlowDown';
+    });
+
+    it('retries throttled requests and reduces concurrency', function (done) {
+      s3Client.listObjectsV2.onCall(0).yields(throttlingError);
+      s3Client.listObjectsV2.onCall(1).yields(null, listObjectsResponse1);
+
+      s3ConcurrentListObjectStream.listDirectoryPage(
+        {
+          s3Client: s3Client,
+          bucket: 'bucket',
+          delimiter: '/',
+          prefix: prefix,
+          maxKeys: 50
+        },
+        function (error, nextContinuationToken) {
+          sinon.assert.callCount(s3Client.listObjectsV2, 2);
+          expect(nextContinuationToken).to.equal('token');
+          expect(s3ConcurrentListObjectStream.queue.concurrency).to.equal(4);
+          expect(events).to.eql([
+            {
+              concurrency: 4,
+              previousConcurrency: 8,
+              reason: 'throttled'
+            }
+          ]);
+
+          done(error);
+        }
+      );
+    });
+
+    it('does not reduce concurrency below the minimum', function () {
+      s3ConcurrentListObjectStream.adjustConcurrency(throttlingError, Date.now());
+      s3ConcurrentListObjectStream.adjustConcurrency(throttlingError, Date.now());
+      s3ConcurrentListObjectStream.adjustConcurrency(throttlingError, Date.now());
+
+      expect(s3ConcurrentListObjectStream.queue.concurrency).to.equal(2);
+      expect(_.map(events, 'concurrency')).to.eql([4, 2]);
+    });
+
+    it('ignores throttling of requests started before the last reduction', function () {
+      var startedAt = Date.now() - 1000;
+
+      s3ConcurrentListObjectStream.adjustConcurrency(throttlingError, startedAt);
+      s3ConcurrentListObjectStream.adjustConcurrency(throttlingError, startedAt);
+
+      expect(s3ConcurrentListObjectStream.queue.concurrency).to.equal(4);
+    });
+
+    it('increases concurrency after a run of successful requests', function () {
+      s3ConcurrentListObjectStream.adjustConcurrency(throttlingError, Date.now());
+      _.times(4, function () {
+        s3ConcurrentListObjectStream.adjustConcurrency(null, Date.now());
+      });
+
+      expect(s3ConcurrentListObjectStream.queue.concurrency).to.equal(5);
+      expect(events[1]).to.eql({
+        concurrency: 5,
+        previousConcurrency: 4,
+        reason: 'success'
+      });
+    });
+
+    it('returns the remainder of a task to the queue when concurrency is reduced', function (done) {
+      sandbox.stub(s3ConcurrentListObjectStream.queue, 'push');
+      sandbox.stub(s3ConcurrentListObjectStream.queue, 'unshift');
+      sandbox.stub(s3ConcurrentListObjectStream.queue, 'running').returns(9);
+
+      s3ConcurrentListObjectStream.listDirectoryAndRecuse(
+        {
+          s3Client: s3Client,
+          bucket: 'bucket',
+          delimiter: '/',
+          prefix: prefix,
+          maxKeys: 50
+        },
+        function (error) {
+          sinon.assert.callCount(s3Client.listObjectsV2, 1);
+          sinon.assert.callCount(s3ConcurrentListObjectStream.queue.unshift, 1);
+          expect(
+            s3ConcurrentListObjectStream.queue.unshift.getCall(0).args[0].continuationToken
+          ).to.equal('token');
+
+          done(error);
+        }
+      );
+    });
+
+    it('does not change concurrency when not enabled', function () {
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream();
+      s3ConcurrentListObjectStream.adjustConcurrency(throttlingError, Date.now());
+
+      expect(s3ConcurrentListObjectStream.queue.concurrency).to.equal(15);
+    });
+  });
+
+  describe('getKeyRangeSplitPoints', function () {
+    it('splits an unbounded range', function () {
+      expect(s3ConcurrentListObjectStream.getKeyRangeSplitPoints(
+        'p/c7f1',
+        undefined,
+        'p/',
+        '0123456789abcdef'
+      )).to.eql(['p/d', 'p/e', 'p/f']);
+    });
+
+    it('splits a bounded range', function () {
+      expect(s3ConcurrentListObjectStream.getKeyRangeSplitPoints(
+        'p/37f1',
+        'p/6',
+        'p/',
+        '0123456789abcdef'
+      )).to.eql(['p/4', 'p/5']);
+    });
+
+    it('looks at longer split points for narrow ranges', function () {
+      expect(s3ConcurrentListObjectStream.getKeyRangeSplitPoints(
+        'p/3cf1',
+        'p/4',
+        'p/',
+        '0123456789abcdef'
+      )).to.eql(['p/3d', 'p/3e', 'p/3f']);
+    });
+
+    it('returns no split points if there are none in the range', function () {
+      expect(s3ConcurrentListObjectStream.getKeyRangeSplitPoints(
+        'p/3',
+        'p/30',
+        'p/',
+        '0123456789abcdef'
+      )).to.eql([]);
+    });
   });
 
   describe('listDirectoryAndRecuse', function () {
@@ -189,6 +456,66 @@ describe('lib/stream/s3ConcurrentListObjectStream', function () {
       );
     });
 
+    it('splits a dense key range', function (done) {
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: prefix,
+        partitionMode: 'keyRange',
+        partitionCharacters: 'abcd',
+        startAfter: prefix + 'a',
+        endAt: prefix + 'd'
+      };
+
+      listObjectsResponse1.CommonPrefixes = [];
+      listObjectsResponse1.Contents = [
+        { Key: prefix + 'a1' },
+        { Key: prefix + 'a2' }
+      ];
+      // The first page of the remaining range runs past its new end.
+      listObjectsResponse2.Contents = [
+        { Key: prefix + 'a3' },
+        { Key: prefix + 'b1' }
+      ];
+
+      s3ConcurrentListObjectStream.listDirectoryAndRecuse(
+        options,
+        function (error) {
+          sinon.assert.callCount(s3Client.listObjectsV2, 2);
+          expect(s3Client.listObjectsV2.getCall(0).args[0]).to.eql({
+            Bucket: 'bucket',
+            Delimiter: undefined,
+            ContinuationToken: undefined,
+            MaxKeys: undefined,
+            Prefix: prefix,
+            StartAfter: prefix + 'a'
+          });
+
+          sinon.assert.callCount(s3ConcurrentListObjectStream.push, 3);
+          expect(s3ConcurrentListObjectStream.push.getCall(2).args[0].Key).to.equal(
+            prefix + 'a3'
+          );
+
+          sinon.assert.callCount(s3ConcurrentListObjectStream.queue.push, 2);
+          expect(
+            _.pick(s3ConcurrentListObjectStream.queue.push.getCall(0).args[0], ['startAfter', 'endAt'])
+          ).to.eql({
+            startAfter: prefix + 'b',
+            endAt: prefix + 'c'
+          });
+          expect(
+            _.pick(s3ConcurrentListObjectStream.queue.push.getCall(1).args[0], ['startAfter', 'endAt'])
+          ).to.eql({
+            startAfter: prefix + 'c',
+            endAt: prefix + 'd'
+          });
+          expect(options.endAt).to.equal(prefix + 'b');
+
+          done(error);
+        }
+      );
+    });
+
     it('retries and yields error on API error', function (done) {
       s3Client.listObjectsV2.onCall(0).yields(new Error());
       s3Client.listObjectsV2.onCall(1).yields(new Error());
@@ -205,6 +532,626 @@ describe('lib/stream/s3ConcurrentListObjectStream', function () {
     });
   });
 
+  describe('getState', function () {
+    beforeEach(function () {
+      sandbox.stub(s3ConcurrentListObjectStream.queue, 'push');
+    });
+
+    it('functions as expected', function () {
+      s3ConcurrentListObjectStream.completed.push({
+        bucket: 'otherBucket',
+        prefix: ''
+      });
+      s3ConcurrentListObjectStream.sendToQueue({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        delimiter: '/',
+        prefix: prefix,
+        rootPrefix: prefix,
+        continuationToken: 'token'
+      });
+
+      expect(s3ConcurrentListObjectStream.getState()).to.eql({
+        tasks: [
+          {
+            bucket: 'bucket',
+            delimiter: '/',
+            prefix: prefix,
+            rootPrefix: prefix,
+            continuationToken: 'token'
+          }
+        ],
+        completed: [
+          {
+            bucket: 'otherBucket',
+            prefix: ''
+          }
+        ]
+      });
+    });
+
+    it('drops tasks once complete', function () {
+      s3ConcurrentListObjectStream.sendToQueue({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: prefix
+      });
+      s3ConcurrentListObjectStream.queue.push.getCall(0).args[1]();
+
+      expect(s3ConcurrentListObjectStream.getState().tasks).to.eql([]);
+    });
+  });
+
+  describe('state', function () {
+    var stateStore;
+
+    beforeEach(function () {
+      stateStore = {
+        save: sandbox.stub().yields()
+      };
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        stateStore: stateStore,
+        stateInterval: 10
+      });
+    });
+
+    it('saves the final state at the end of the stream', function (done) {
+      var states = [];
+
+      s3ConcurrentListObjectStream.on('state', function (state) {
+        states.push(state);
+      });
+      s3ConcurrentListObjectStream.on('data', _.noop);
+      s3ConcurrentListObjectStream.on('end', function () {
+        expect(_.last(states)).to.eql({
+          tasks: [],
+          completed: [
+            {
+              bucket: 'bucket',
+              prefix: prefix
+            }
+          ]
+        });
+        sinon.assert.calledWith(stateStore.save, _.last(states));
+        done();
+      });
+
+      // The 'subdirectories' are empty.
+      s3Client.listObjectsV2.yields(null, listObjectsResponse2);
+
+      s3ConcurrentListObjectStream.write({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: prefix
+      });
+      s3ConcurrentListObjectStream.end();
+    });
+  });
+
+  describe('backpressure', function () {
+    beforeEach(function () {
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        highWaterMark: 1
+      });
+      s3Client.listObjectsV2.yields(null, listObjectsResponse2);
+    });
+
+    it('waits for the consumer before listing more', function (done) {
+      var count = 0;
+
+      s3ConcurrentListObjectStream.write({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: prefix
+      });
+      s3ConcurrentListObjectStream.end();
+
+      setTimeout(function () {
+        // Neither the next page nor the 'subdirectories' are listed until
+        // the consumer reads.
+        sinon.assert.callCount(s3Client.listObjectsV2, 1);
+
+        s3ConcurrentListObjectStream.on('data', function () {
+          count++;
+        });
+        s3ConcurrentListObjectStream.on('end', function () {
+          sinon.assert.callCount(s3Client.listObjectsV2, 4);
+          expect(count).to.equal(5);
+          done();
+        });
+      }, 20);
+    });
+
+    it('records the next page in the state while waiting', function (done) {
+      s3ConcurrentListObjectStream.write({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: prefix
+      });
+      s3ConcurrentListObjectStream.end();
+
+      setTimeout(function () {
+        // The first page has been pushed, so resuming starts at the second.
+        expect(_.find(s3ConcurrentListObjectStream.getState().tasks, {
+          prefix: prefix
+        })).to.eql({
+          bucket: 'bucket',
+          delimiter: '/',
+          prefix: prefix,
+          rootPrefix: prefix,
+          continuationToken: listObjectsResponse1.NextContinuationToken
+        });
+
+        s3ConcurrentListObjectStream.on('data', _.noop);
+        s3ConcurrentListObjectStream.on('end', done);
+      }, 20);
+    });
+  });
+
+  describe('cancellation', function () {
+    var awsRequests;
+    var options;
+
+    beforeEach(function () {
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: prefix
+      };
+
+      // The first page reveals 'subdirectories', the listings of which never
+      // complete.
+      awsRequests = [];
+      s3Client.listObjectsV2.restore();
+      sandbox.stub(s3Client, 'listObjectsV2', function (params, callback) {
+        var awsRequest = {
+          abort: sandbox.stub(),
+          callback: callback
+        };
+
+        awsRequests.push(awsRequest);
+        if (awsRequests.length === 1) {
+          callback(null, _.omit(listObjectsResponse1, 'NextContinuationToken', 'IsTruncated'));
+        }
+        return awsRequest;
+      });
+    });
+
+    it('kills the queue and aborts requests in progress when destroyed', function (done) {
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        maxConcurrency: 1
+      });
+
+      s3ConcurrentListObjectStream.on('close', function () {
+        // The listing of the second 'subdirectory' was still waiting in the
+        // queue, and is discarded.
+        expect(awsRequests.length).to.equal(2);
+        sinon.assert.notCalled(awsRequests[0].abort);
+        sinon.assert.calledOnce(awsRequests[1].abort);
+        expect(s3ConcurrentListObjectStream.activeRequests).to.eql([]);
+        expect(s3ConcurrentListObjectStream.queue.length()).to.equal(0);
+        done();
+      });
+
+      s3ConcurrentListObjectStream.write(options);
+
+      setTimeout(function () {
+        s3ConcurrentListObjectStream.destroy();
+      }, 10);
+    });
+
+    it('destroys the stream when a listing fails', function (done) {
+      var error = new Error();
+      var errors = [];
+
+      error.code = 'AccessDenied';
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream();
+
+      s3ConcurrentListObjectStream.on('error', function (emittedError) {
+        errors.push(emittedError);
+      });
+      s3ConcurrentListObjectStream.on('close', function () {
+        expect(errors).to.eql([error]);
+        // The listing of the other 'subdirectory' is abandoned.
+        sinon.assert.calledOnce(awsRequests[2].abort);
+        expect(s3ConcurrentListObjectStream.activeRequests).to.eql([]);
+        done();
+      });
+
+      s3ConcurrentListObjectStream.write(options);
+      s3ConcurrentListObjectStream.end();
+
+      setTimeout(function () {
+        awsRequests[1].callback(error);
+      }, 10);
+    });
+
+    it('emits an AbortError when the signal is aborted', function (done) {
+      var signal = createSignal();
+
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        signal: signal
+      });
+
+      s3ConcurrentListObjectStream.on('error', function (error) {
+        expect(error).to.be.instanceOf(AbortError);
+        sinon.assert.calledOnce(awsRequests[1].abort);
+        done();
+      });
+
+      s3ConcurrentListObjectStream.write(options);
+
+      setTimeout(function () {
+        signal.abort();
+      }, 10);
+    });
+  });
+
+  describe('ordered', function () {
+    var keys;
+
+    /**
+     * Stand in for the listObjectsV2 API, listing the keys in the test.
+     * Requests for shorter prefixes and earlier key ranges respond more
+     * slowly, so that tasks complete out of order.
+     *
+     * @param {Object} params The request parameters.
+     * @param {Function} callback Of the form function (error, response).
+     */
+    function listObjectsV2 (params, callback) {
+      var start = Number(params.ContinuationToken || 0);
+      var entries = _.chain(keys).filter(function (key) {
+        return _.startsWith(key, params.Prefix) &&
+          (params.StartAfter === undefined || key > params.StartAfter);
+      }).map(function (key) {
+        var index = params.Delimiter ?
+          key.indexOf(params.Delimiter, params.Prefix.length) :
+          -1;
+
+        return index === -1 ? {
+          Key: key
+        } : {
+          Prefix: key.slice(0, index + 1)
+        };
+      }).uniqWith(_.isEqual).value();
+      var page = entries.slice(start, start + params.MaxKeys);
+      var isTruncated = start + params.MaxKeys < entries.length;
+
+      setTimeout(function () {
+        callback(null, {
+          IsTruncated: isTruncated,
+          NextContinuationToken: isTruncated ? String(start + params.MaxKeys) : undefined,
+          Contents: _.filter(page, 'Key'),
+          CommonPrefixes: _.filter(page, 'Prefix')
+        });
+      }, Math.max(0, 20 - params.Prefix.length - (params.StartAfter || '').length));
+    }
+
+    /**
+     * Run an ordered listing.
+     *
+     * @param {Object} streamOptions Options for the stream.
+     * @param {Object} options Options for the listing.
+     * @param {Function} callback Of the form function (error, String[]).
+     */
+    function list (streamOptions, options, callback) {
+      var listedKeys = [];
+
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream(_.extend({
+        ordered: true
+      }, streamOptions));
+
+      s3ConcurrentListObjectStream.on('data', function (s3Object) {
+        listedKeys.push(s3Object.Key);
+      });
+      s3ConcurrentListObjectStream.on('end', function () {
+        callback(null, listedKeys);
+      });
+      s3ConcurrentListObjectStream.on('error', callback);
+
+      s3ConcurrentListObjectStream.write(_.extend({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: 'p/',
+        maxKeys: 2
+      }, options));
+      s3ConcurrentListObjectStream.end();
+    }
+
+    beforeEach(function () {
+      s3Client.listObjectsV2.restore();
+      sandbox.stub(s3Client, 'listObjectsV2', listObjectsV2);
+    });
+
+    it('emits objects in key order', function (done) {
+      keys = [
+        'p/a.txt',
+        'p/a/1',
+        'p/a/2',
+        'p/a/b/1',
+        'p/a/c/1',
+        'p/a0',
+        'p/b/1',
+        'p/b/2',
+        'p/b/3',
+        'p/c'
+      ];
+
+      list({}, {}, function (error, listedKeys) {
+        expect(listedKeys).to.eql(keys);
+        done(error);
+      });
+    });
+
+    it('emits objects in key order with a small buffer', function (done) {
+      keys = _.times(40, function (index) {
+        return 'p/' + (index % 4) + '/' + _.padStart(index, 2, '0');
+      }).sort();
+
+      list({
+        orderedBufferSize: 1,
+        maxConcurrency: 3
+      }, {}, function (error, listedKeys) {
+        expect(listedKeys).to.eql(keys);
+        done(error);
+      });
+    });
+
+    it('emits objects in key order for key ranges', function (done) {
+      keys = _.times(32, function (index) {
+        return 'p/' + _.padStart((index * 8).toString(16), 2, '0');
+      });
+
+      list({}, {
+        partitionMode: 'keyRange'
+      }, function (error, listedKeys) {
+        // Key ranges must have been split to make this a useful test.
+        expect(s3Client.listObjectsV2.callCount).to.be.above(16);
+        expect(listedKeys).to.eql(keys);
+        done(error);
+      });
+    });
+
+    it('bounds the buffer when the current prefix is slow', function (done) {
+      var maxBufferCount = 0;
+
+      keys = _.flatten(_.times(50, function (directoryIndex) {
+        return _.times(10, function (index) {
+          return 'p/' + _.padStart(directoryIndex, 2, '0') + '/' + index;
+        });
+      }));
+
+      // The first 'subdirectory', which is emitted first, lists slowly while
+      // the others complete.
+      s3Client.listObjectsV2.restore();
+      sandbox.stub(s3Client, 'listObjectsV2', function (params, callback) {
+        setTimeout(function () {
+          listObjectsV2(params, function (error, response) {
+            callback(error, response);
+            maxBufferCount = Math.max(
+              maxBufferCount,
+              s3ConcurrentListObjectStream.orderedBufferCount
+            );
+          });
+        }, params.Prefix === 'p/00/' ? 100 : 0);
+      });
+
+      list({
+        orderedBufferSize: 10,
+        maxConcurrency: 3
+      }, {
+        delimiter: '/',
+        maxKeys: 50
+      }, function (error, listedKeys) {
+        // The buffer size plus a page for each running task.
+        expect(maxBufferCount).to.be.at.most(10 + 3 * 10);
+        expect(listedKeys).to.eql(keys);
+        done(error);
+      });
+    });
+
+    it('keeps splitting dense key ranges', function (done) {
+      keys = _.times(128, function (index) {
+        return 'p/' + _.padStart((index * 32).toString(16), 3, '0');
+      });
+
+      list({}, {
+        partitionMode: 'keyRange'
+      }, function (error, listedKeys) {
+        // Each task is identified by the start of its range. None should list
+        // much more than its share of the keys.
+        var requestCounts = _.countBy(s3Client.listObjectsV2.args, function (args) {
+          return args[0].StartAfter;
+        });
+
+        expect(_.max(_.values(requestCounts))).to.be.at.most(3);
+        expect(listedKeys).to.eql(keys);
+        done(error);
+      });
+    });
+
+    it('emits the objects for each input in turn', function (done) {
+      var listedKeys = [];
+
+      keys = [
+        'p/a/1',
+        'p/b',
+        'q/1',
+        'q/2',
+        'q/3'
+      ];
+
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        ordered: true
+      });
+
+      s3ConcurrentListObjectStream.on('data', function (s3Object) {
+        listedKeys.push(s3Object.Key);
+      });
+      s3ConcurrentListObjectStream.on('end', function () {
+        expect(listedKeys).to.eql(['q/1', 'q/2', 'q/3', 'p/a/1', 'p/b']);
+        done();
+      });
+
+      s3ConcurrentListObjectStream.write({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: 'q/',
+        maxKeys: 1
+      });
+      s3ConcurrentListObjectStream.write({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: 'p/',
+        maxKeys: 1
+      });
+      s3ConcurrentListObjectStream.end();
+    });
+
+    it('yields error when resuming from a saved state', function (done) {
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        ordered: true
+      });
+
+      s3ConcurrentListObjectStream.processIncomingObject({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        resumeFrom: {
+          tasks: [
+            {
+              bucket: 'bucket',
+              rootPrefix: ''
+            }
+          ],
+          completed: []
+        }
+      }, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('multiple inputs', function () {
+    it('lists inputs concurrently', function (done) {
+      var completed = [];
+
+      sandbox.stub(s3ConcurrentListObjectStream.queue, 'push');
+      s3ConcurrentListObjectStream.on('inputComplete', function (listing) {
+        completed.push(listing.bucket);
+
+        if (completed.length === 2) {
+          expect(completed).to.eql(['bucket2', 'bucket1']);
+          done();
+        }
+      });
+
+      s3ConcurrentListObjectStream.write({
+        s3Client: s3Client,
+        bucket: 'bucket1'
+      });
+      s3ConcurrentListObjectStream.write({
+        s3Client: s3Client,
+        bucket: 'bucket2'
+      });
+      s3ConcurrentListObjectStream.end();
+
+      setImmediate(function () {
+        // Both are listed before either is complete.
+        sinon.assert.callCount(s3ConcurrentListObjectStream.queue.push, 2);
+
+        s3ConcurrentListObjectStream.queue.push.getCall(1).args[1]();
+        s3ConcurrentListObjectStream.queue.push.getCall(0).args[1]();
+      });
+    });
+
+    it('emits progress for each input', function (done) {
+      var progress;
+
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        progressInterval: 0
+      });
+      s3Client.listObjectsV2.yields(null, listObjectsResponse2);
+
+      s3ConcurrentListObjectStream.on('progress', function (stats) {
+        progress = stats;
+      });
+      s3ConcurrentListObjectStream.on('data', _.noop);
+      s3ConcurrentListObjectStream.on('end', function () {
+        expect(progress).to.include({
+          requests: 5,
+          pages: 5,
+          objects: 6,
+          queueDepth: 0,
+          inFlight: 0
+        });
+        expect(_.map(progress.inputs, 'objects')).to.eql([5, 1]);
+        expect(_.map(progress.inputs, 'complete')).to.eql([true, true]);
+        expect(progress.buckets.bucket2.requests).to.equal(1);
+        done();
+      });
+
+      s3ConcurrentListObjectStream.write({
+        s3Client: s3Client,
+        bucket: 'bucket1',
+        prefix: prefix
+      });
+      s3ConcurrentListObjectStream.write({
+        s3Client: s3Client,
+        bucket: 'bucket2',
+        prefix: prefix + 'b/'
+      });
+      s3ConcurrentListObjectStream.end();
+    });
+
+    it('takes tasks from each input in turn for round robin fairness', function () {
+      var inputs;
+
+      s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        fairness: 'roundRobin',
+        maxConcurrency: 3
+      });
+      sandbox.stub(s3ConcurrentListObjectStream.queue, 'push');
+      sandbox.stub(s3ConcurrentListObjectStream.queue, 'length', function () {
+        return s3ConcurrentListObjectStream.queue.push.callCount;
+      });
+
+      inputs = _.map(['a', 'b'], function (bucket) {
+        return {
+          bucket: bucket,
+          outstanding: 0,
+          pending: []
+        };
+      });
+      s3ConcurrentListObjectStream.inputs = inputs;
+
+      // Let the tasks build up while the queue is paused.
+      s3ConcurrentListObjectStream.queue.pause();
+      _.each(['a1', 'a2', 'a3', 'b1'], function (prefix) {
+        s3ConcurrentListObjectStream.sendToQueue({
+          prefix: prefix,
+          input: inputs[prefix[0] === 'a' ? 0 : 1]
+        });
+      });
+      s3ConcurrentListObjectStream.queue.resume();
+      s3ConcurrentListObjectStream.feedQueue();
+
+      expect(_.map(
+        s3ConcurrentListObjectStream.queue.push.args,
+        '0.prefix'
+      )).to.eql(['a1', 'b1', 'a2']);
+      expect(inputs[0].pending).to.have.length(1);
+    });
+
+    it('throws for invalid options.fairness', function () {
+      expect(function () {
+        s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+          fairness: 'unknown'
+        });
+      }).to.throw(Error);
+    });
+  });
+
   describe('processIncomingObject', function () {
     var options;
 
@@ -234,8 +1181,110 @@ describe('lib/stream/s3ConcurrentListObjectStream', function () {
       expect(argOpts.bucket).to.equal(options.bucket);
       expect(argOpts.delimiter).to.equal('/');
       expect(argOpts.prefix).to.equal(options.prefix);
+    });
+
+    it('completes a listing when its tasks are complete', function (done) {
+      s3ConcurrentListObjectStream.on('inputComplete', function (listing) {
+        expect(listing).to.eql({
+          bucket: 'bucket',
+          prefix: prefix
+        });
+        expect(s3ConcurrentListObjectStream.completed).to.eql([listing]);
+        expect(s3ConcurrentListObjectStream.tasks).to.eql([]);
+        done();
+      });
+
+      s3ConcurrentListObjectStream.processIncomingObject(options, _.noop);
 
-      s3ConcurrentListObjectStream.queue.drain();
+      // The listing is not complete until its last task is.
+      s3ConcurrentListObjectStream.sendToQueue(_.extend({}, options, {
+        input: s3ConcurrentListObjectStream.queue.push.getCall(0).args[0].input
+      }));
+      s3ConcurrentListObjectStream.queue.push.getCall(0).args[1]();
+      expect(s3ConcurrentListObjectStream.completed).to.eql([]);
+      s3ConcurrentListObjectStream.queue.push.getCall(1).args[1]();
+    });
+
+    it('resumes the outstanding tasks from a saved state', function (done) {
+      options.resumeFrom = {
+        tasks: [
+          {
+            bucket: 'bucket',
+            delimiter: '/',
+            prefix: prefix + 'b/',
+            rootPrefix: prefix,
+            continuationToken: 'token'
+          },
+          {
+            bucket: 'otherBucket',
+            delimiter: '/',
+            prefix: prefix + 'c/',
+            rootPrefix: prefix
+          }
+        ],
+        completed: []
+      };
+
+      s3ConcurrentListObjectStream.processIncomingObject(options, _.noop);
+
+      sinon.assert.callCount(s3ConcurrentListObjectStream.queue.push, 1);
+      expect(_.omit(
+        s3ConcurrentListObjectStream.queue.push.getCall(0).args[0],
+        'input'
+      )).to.eql({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        delimiter: '/',
+        prefix: prefix + 'b/',
+        rootPrefix: prefix,
+        continuationToken: 'token'
+      });
+
+      s3ConcurrentListObjectStream.queue.push.getCall(0).args[1]();
+      expect(s3ConcurrentListObjectStream.completed).to.eql([
+        {
+          bucket: 'bucket',
+          prefix: prefix
+        }
+      ]);
+      done();
+    });
+
+    it('skips a listing completed in a saved state', function (done) {
+      options.resumeFrom = {
+        tasks: [],
+        completed: [
+          {
+            bucket: 'bucket',
+            prefix: prefix
+          }
+        ]
+      };
+
+      s3ConcurrentListObjectStream.processIncomingObject(options, function (error) {
+        sinon.assert.notCalled(s3ConcurrentListObjectStream.queue.push);
+        done(error);
+      });
+    });
+
+    it('lists by key range without a delimiter', function () {
+      options.partitionMode = 'keyRange';
+
+      s3ConcurrentListObjectStream.processIncomingObject(options, _.noop);
+
+      var argOpts = s3ConcurrentListObjectStream.queue.push.getCall(0).args[0];
+      expect(argOpts.delimiter).to.equal(undefined);
+      expect(argOpts.partitionCharacters).to.equal('0123456789abcdef');
+    });
+
+    it('yields error for invalid options.partitionMode', function (done) {
+      options.partitionMode = 'unknown';
+
+      s3ConcurrentListObjectStream.processIncomingObject(options, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(s3ConcurrentListObjectStream.queue.push);
+        done();
+      });
     });
 
     it('yields error for missing options', function (done) {
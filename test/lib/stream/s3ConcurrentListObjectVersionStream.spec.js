@@ -0,0 +1,183 @@
+/**
+ * @fileOverview Tests for lib/stream/s3ConcurrentListObjectVersionStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+
+// Local.
+var S3ConcurrentListObjectVersionStream = require('../../../lib/stream/s3ConcurrentListObjectVersionStream');
+
+describe('lib/stream/s3ConcurrentListObjectVersionStream', function () {
+  var listObjectVersionsResponse1;
+  var listObjectVersionsResponse2;
+  var prefix;
+  var sandbox;
+  var s3Client;
+  var s3ConcurrentListObjectVersionStream;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    s3Client = new AWS.S3();
+    prefix = 'prefix/';
+
+    listObjectVersionsResponse1 = {
+      IsTruncated: true,
+      NextKeyMarker: prefix + 'a1',
+      NextVersionIdMarker: 'v1',
+      CommonPrefixes: [
+        { Prefix: prefix + 'b/' }
+      ],
+      Versions: [
+        {
+          Key: prefix + 'a1',
+          VersionId: 'v1',
+          IsLatest: true
+        }
+      ]
+    };
+    listObjectVersionsResponse2 = {
+      IsTruncated: false,
+      CommonPrefixes: [],
+      DeleteMarkers: [
+        {
+          Key: prefix + 'a2',
+          VersionId: 'v2',
+          IsLatest: true
+        }
+      ]
+    };
+
+    sandbox.stub(s3Client, 'listObjectVersions');
+    s3Client.listObjectVersions.onCall(0).yields(null, listObjectVersionsResponse1);
+    s3Client.listObjectVersions.onCall(1).yields(null, listObjectVersionsResponse2);
+
+    s3ConcurrentListObjectVersionStream = new S3ConcurrentListObjectVersionStream();
+    sandbox.stub(s3ConcurrentListObjectVersionStream, 'push');
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('listDirectoryPage', function () {
+    var options;
+
+    beforeEach(function () {
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket',
+        delimiter: '/',
+        prefix: prefix,
+        continuationToken: {
+          keyMarker: 'keyMarker',
+          versionIdMarker: 'versionIdMarker'
+        },
+        maxKeys: 50
+      };
+    });
+
+    it('functions as expected', function (done) {
+      s3ConcurrentListObjectVersionStream.listDirectoryPage(
+        options,
+        function (error, nextContinuationToken, s3Objects, commonPrefixes) {
+          sinon.assert.calledWith(
+            s3Client.listObjectVersions,
+            {
+              Bucket: options.bucket,
+              Delimiter: options.delimiter,
+              KeyMarker: 'keyMarker',
+              VersionIdMarker: 'versionIdMarker',
+              MaxKeys: options.maxKeys,
+              Prefix: options.prefix
+            },
+            sinon.match.func
+          );
+
+          expect(nextContinuationToken).to.eql({
+            keyMarker: prefix + 'a1',
+            versionIdMarker: 'v1'
+          });
+          expect(commonPrefixes).to.eql([prefix + 'b/']);
+          expect(s3Objects).to.eql([
+            {
+              Key: prefix + 'a1',
+              VersionId: 'v1',
+              IsLatest: true,
+              type: 'version'
+            }
+          ]);
+
+          done(error);
+        }
+      );
+    });
+
+    it('yields error on API error', function (done) {
+      s3Client.listObjectVersions.onCall(0).yields(new Error());
+      s3Client.listObjectVersions.onCall(1).yields(new Error());
+      s3Client.listObjectVersions.onCall(2).yields(new Error());
+
+      s3ConcurrentListObjectVersionStream.listDirectoryPage(
+        options,
+        function (error) {
+          sinon.assert.callCount(s3Client.listObjectVersions, 3);
+          expect(error).to.be.instanceOf(Error);
+          done();
+        }
+      );
+    });
+  });
+
+  describe('listDirectoryAndRecuse', function () {
+    var options;
+
+    beforeEach(function () {
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket',
+        delimiter: '/',
+        prefix: prefix,
+        maxKeys: 50
+      };
+
+      sandbox.stub(s3ConcurrentListObjectVersionStream.queue, 'push');
+    });
+
+    it('functions as expected', function (done) {
+      s3ConcurrentListObjectVersionStream.listDirectoryAndRecuse(
+        options,
+        function (error) {
+          sinon.assert.callCount(s3Client.listObjectVersions, 2);
+
+          expect(s3Client.listObjectVersions.getCall(1).args[0].KeyMarker).to.equal(
+            prefix + 'a1'
+          );
+          expect(s3Client.listObjectVersions.getCall(1).args[0].VersionIdMarker).to.equal(
+            'v1'
+          );
+
+          sinon.assert.callCount(s3ConcurrentListObjectVersionStream.push, 2);
+          expect(s3ConcurrentListObjectVersionStream.push.getCall(0).args[0].type).to.equal(
+            'version'
+          );
+          expect(s3ConcurrentListObjectVersionStream.push.getCall(1).args[0]).to.eql({
+            Bucket: 'bucket',
+            Key: prefix + 'a2',
+            VersionId: 'v2',
+            IsLatest: true,
+            type: 'deleteMarker'
+          });
+
+          sinon.assert.callCount(s3ConcurrentListObjectVersionStream.queue.push, 1);
+          expect(
+            s3ConcurrentListObjectVersionStream.queue.push.getCall(0).args[0].prefix
+          ).to.equal(prefix + 'b/');
+
+          done(error);
+        }
+      );
+    });
+  });
+});
@@ -0,0 +1,359 @@
+/**
+ * @fileOverview Tests for lib/stream/s3CopyObjectStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+
+// Local.
+var S3CopyObjectStream = require('../../../lib/stream/s3CopyObjectStream');
+
+describe('lib/stream/s3CopyObjectStream', function () {
+  var MB = 1024 * 1024;
+
+  var notFoundError;
+  var sandbox;
+  var s3Client;
+  var s3CopyObjectStream;
+  var s3Object;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    notFoundError = new Error();
+    notFoundError.code = 'NotFound';
+    notFoundError.statusCode = 404;
+
+    s3Object = {
+      Bucket: 'source',
+      Key: 'a/file 1',
+      ETag: '"etag"',
+      Size: 12 * MB,
+      StorageClass: 'STANDARD_IA'
+    };
+
+    s3Client = new AWS.S3();
+    sandbox.stub(s3Client, 'headObject');
+    // The target doesn't exist, the source does.
+    s3Client.headObject.withArgs(sinon.match({ Bucket: 'target' })).yields(notFoundError);
+    s3Client.headObject.withArgs(sinon.match({ Bucket: 'source' })).yields(null, {
+      ContentLength: 12 * MB,
+      ContentType: 'text/plain',
+      ETag: '"etag"',
+      Metadata: {
+        owner: 'team'
+      },
+      ServerSideEncryption: 'AES256'
+    });
+    sandbox.stub(s3Client, 'getObjectTagging').yields(null, {
+      TagSet: [
+        {
+          Key: 'env',
+          Value: 'prod & test'
+        }
+      ]
+    });
+    sandbox.stub(s3Client, 'copyObject').yields(null, {
+      CopyObjectResult: {
+        ETag: '"copied"'
+      }
+    });
+    sandbox.stub(s3Client, 'createMultipartUpload').yields(null, {
+      UploadId: 'upload'
+    });
+    sandbox.stub(s3Client, 'uploadPartCopy', function (params, callback) {
+      callback(null, {
+        CopyPartResult: {
+          ETag: '"part' + params.PartNumber + '"'
+        }
+      });
+    });
+    sandbox.stub(s3Client, 'completeMultipartUpload').yields(null, {
+      ETag: '"multipart-3"'
+    });
+    sandbox.stub(s3Client, 'abortMultipartUpload').yields(null, {});
+
+    s3CopyObjectStream = new S3CopyObjectStream({
+      s3Client: s3Client,
+      targetBucket: 'target',
+      rewriteKey: function (key) {
+        return key.replace(/^a\//, 'b/');
+      }
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('throws on invalid options', function () {
+    expect(function () {
+      return new S3CopyObjectStream({
+        s3Client: s3Client
+      });
+    }).to.throw(Error, 'Missing options.targetBucket or options.rewriteKey');
+    expect(function () {
+      return new S3CopyObjectStream({
+        s3Client: s3Client,
+        targetBucket: 'target',
+        partSize: MB
+      });
+    }).to.throw(Error, 'Invalid options.partSize, expected a number from 5MB to 5GB');
+  });
+
+  describe('getCopySource', function () {
+    it('encodes the key and version', function () {
+      expect(S3CopyObjectStream.getCopySource({
+        Bucket: 'bucket',
+        Key: 'a/b c+d',
+        VersionId: 'v1'
+      })).to.equal('bucket/a%2Fb%20c%2Bd?versionId=v1');
+    });
+  });
+
+  describe('getPartRanges', function () {
+    it('splits the object into parts', function () {
+      expect(S3CopyObjectStream.getPartRanges(12, 5)).to.eql([
+        'bytes=0-4',
+        'bytes=5-9',
+        'bytes=10-11'
+      ]);
+    });
+
+    it('increases the part size to keep to the limit on parts', function () {
+      expect(S3CopyObjectStream.getPartRanges(20001, 1).length).to.equal(6667);
+    });
+  });
+
+  describe('processObject', function () {
+    it('copies with copyObject, preserving the storage class', function (done) {
+      s3CopyObjectStream.processObject(s3Object, function (error, result) {
+        sinon.assert.calledWith(s3Client.copyObject, {
+          Bucket: 'target',
+          Key: 'b/file 1',
+          CopySource: 'source/a%2Ffile%201',
+          MetadataDirective: 'COPY',
+          StorageClass: 'STANDARD_IA'
+        });
+        expect(result).to.eql({
+          status: 'copied',
+          method: 'copyObject',
+          ETag: '"copied"',
+          Bucket: 'source',
+          Key: 'a/file 1',
+          Size: 12 * MB,
+          targetBucket: 'target',
+          targetKey: 'b/file 1'
+        });
+        done(error);
+      });
+    });
+
+    it('replaces metadata and storage class if configured to', function (done) {
+      s3CopyObjectStream.storageClass = 'GLACIER';
+      s3CopyObjectStream.metadata = function (metadata) {
+        metadata.copied = 'true';
+        return metadata;
+      };
+
+      s3CopyObjectStream.processObject(s3Object, function (error) {
+        sinon.assert.calledWith(s3Client.copyObject, {
+          Bucket: 'target',
+          Key: 'b/file 1',
+          CopySource: 'source/a%2Ffile%201',
+          MetadataDirective: 'REPLACE',
+          StorageClass: 'GLACIER',
+          ContentType: 'text/plain',
+          Metadata: {
+            owner: 'team',
+            copied: 'true'
+          }
+        });
+        done(error);
+      });
+    });
+
+    it('skips targets that exist with the same ETag and size', function (done) {
+      s3Client.headObject.restore();
+      sandbox.stub(s3Client, 'headObject').yields(null, {
+        ContentLength: 12 * MB,
+        ETag: '"etag"'
+      });
+
+      s3CopyObjectStream.processObject(s3Object, function (error, result) {
+        sinon.assert.notCalled(s3Client.copyObject);
+        expect(result.status).to.equal('skipped');
+        expect(result.reason).to.equal('exists');
+        done(error);
+      });
+    });
+
+    it('skips delete markers', function (done) {
+      s3CopyObjectStream.processObject({
+        Bucket: 'source',
+        Key: 'a/file 1',
+        VersionId: 'v1',
+        type: 'deleteMarker'
+      }, function (error, result) {
+        sinon.assert.notCalled(s3Client.headObject);
+        expect(result.reason).to.equal('deleteMarker');
+        done(error);
+      });
+    });
+
+    it('skips archived objects that are not restored', function (done) {
+      s3Object.StorageClass = 'DEEP_ARCHIVE';
+
+      s3CopyObjectStream.processObject(s3Object, function (error, result) {
+        sinon.assert.calledWith(s3Client.headObject, {
+          Bucket: 'source',
+          Key: 'a/file 1'
+        });
+        sinon.assert.notCalled(s3Client.copyObject);
+        expect(result.status).to.equal('skipped');
+        expect(result.reason).to.equal('archived');
+        done(error);
+      });
+    });
+
+    it('copies archived objects that are restored', function (done) {
+      s3Object.StorageClass = 'GLACIER';
+      s3Client.headObject.restore();
+      sandbox.stub(s3Client, 'headObject', function (params, callback) {
+        if (params.Bucket === 'target') {
+          return callback(notFoundError);
+        }
+
+        callback(null, {
+          ContentLength: 12 * MB,
+          Restore: 'ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"'
+        });
+      });
+
+      s3CopyObjectStream.processObject(s3Object, function (error, result) {
+        sinon.assert.calledWith(s3Client.copyObject, sinon.match({
+          StorageClass: 'GLACIER'
+        }));
+        expect(result.status).to.equal('copied');
+        done(error);
+      });
+    });
+
+    it('copies large objects with a multipart upload', function (done) {
+      s3CopyObjectStream.multipartThreshold = 10 * MB;
+      s3CopyObjectStream.partSize = 5 * MB;
+      s3Object.VersionId = 'v1';
+
+      s3CopyObjectStream.processObject(s3Object, function (error, result) {
+        sinon.assert.calledWith(s3Client.createMultipartUpload, {
+          Bucket: 'target',
+          Key: 'b/file 1',
+          StorageClass: 'STANDARD_IA',
+          ContentType: 'text/plain',
+          Metadata: {
+            owner: 'team'
+          },
+          Tagging: 'env=prod%20%26%20test'
+        });
+        sinon.assert.calledThrice(s3Client.uploadPartCopy);
+        sinon.assert.calledWith(s3Client.uploadPartCopy, {
+          Bucket: 'target',
+          Key: 'b/file 1',
+          CopySource: 'source/a%2Ffile%201?versionId=v1',
+          CopySourceRange: 'bytes=10485760-12582911',
+          PartNumber: 3,
+          UploadId: 'upload'
+        });
+        sinon.assert.calledWith(s3Client.completeMultipartUpload, {
+          Bucket: 'target',
+          Key: 'b/file 1',
+          MultipartUpload: {
+            Parts: [
+              { ETag: '"part1"', PartNumber: 1 },
+              { ETag: '"part2"', PartNumber: 2 },
+              { ETag: '"part3"', PartNumber: 3 }
+            ]
+          },
+          UploadId: 'upload'
+        });
+        expect(result.method).to.equal('uploadPartCopy');
+        expect(result.ETag).to.equal('"multipart-3"');
+        done(error);
+      });
+    });
+
+    it('aborts a failed multipart upload', function (done) {
+      var accessDeniedError = new Error();
+
+      accessDeniedError.code = 'AccessDenied';
+      s3Client.completeMultipartUpload.yields(accessDeniedError);
+      s3CopyObjectStream.multipartThreshold = 10 * MB;
+
+      s3CopyObjectStream.processObject(s3Object, function (error, result) {
+        sinon.assert.calledWith(s3Client.abortMultipartUpload, {
+          Bucket: 'target',
+          Key: 'b/file 1',
+          UploadId: 'upload'
+        });
+        expect(result.status).to.equal('failed');
+        done(error);
+      });
+    });
+
+    it('reports objects that fail with a non-retryable error', function (done) {
+      var accessDeniedError = new Error('Access Denied');
+
+      accessDeniedError.code = 'AccessDenied';
+      accessDeniedError.statusCode = 403;
+      s3Client.copyObject.yields(accessDeniedError);
+
+      s3CopyObjectStream.processObject(s3Object, function (error, result) {
+        sinon.assert.calledOnce(s3Client.copyObject);
+        expect(result).to.eql({
+          status: 'failed',
+          code: 'AccessDenied',
+          message: 'Access Denied',
+          Bucket: 'source',
+          Key: 'a/file 1',
+          Size: 12 * MB,
+          targetBucket: 'target',
+          targetKey: 'b/file 1'
+        });
+        done(error);
+      });
+    });
+
+    it('yields retryable errors that persist', function (done) {
+      var internalError = new Error();
+
+      internalError.code = 'InternalError';
+      internalError.statusCode = 500;
+      s3Client.copyObject.yields(internalError);
+      s3CopyObjectStream.retryPolicy.baseDelay = 0;
+
+      s3CopyObjectStream.processObject(s3Object, function (error) {
+        expect(error).to.equal(internalError);
+        done();
+      });
+    });
+  });
+
+  describe('streaming', function () {
+    it('emits a result for each object', function (done) {
+      var results = [];
+
+      s3CopyObjectStream.on('data', function (result) {
+        results.push(result.targetKey + ':' + result.status);
+      });
+      s3CopyObjectStream.on('end', function () {
+        expect(results.sort()).to.eql(['b/1:copied', 'b/2:copied', 'c/3:skipped']);
+        done();
+      });
+
+      s3CopyObjectStream.write({ Bucket: 'source', Key: 'a/1', Size: 1 });
+      s3CopyObjectStream.write({ Bucket: 'source', Key: 'a/2', Size: 1 });
+      s3CopyObjectStream.write({ Bucket: 'source', Key: 'c/3', type: 'deleteMarker' });
+      s3CopyObjectStream.end();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * @fileOverview Tests for lib/stream/s3DeleteObjectStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+var _ = require('lodash');
+
+// Local.
+var S3DeleteObjectStream = require('../../../lib/stream/s3DeleteObjectStream');
+
+describe('lib/stream/s3DeleteObjectStream', function () {
+  var sandbox;
+  var s3Client;
+  var s3DeleteObjectStream;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    s3Client = new AWS.S3();
+    // Delete everything except keys starting with 'locked'.
+    sandbox.stub(s3Client, 'deleteObjects', function (params, callback) {
+      var objects = _.partition(params.Delete.Objects, function (object) {
+        return !_.startsWith(object.Key, 'locked');
+      });
+
+      callback(null, {
+        Deleted: objects[0],
+        Errors: _.map(objects[1], function (object) {
+          return _.extend({
+            Code: 'AccessDenied',
+            Message: 'Access Denied'
+          }, object);
+        })
+      });
+    });
+
+    s3DeleteObjectStream = new S3DeleteObjectStream({
+      s3Client: s3Client,
+      batchSize: 2
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  function runStream (s3Objects, callback) {
+    var results = [];
+
+    s3DeleteObjectStream.on('data', function (result) {
+      results.push(result);
+    });
+    s3DeleteObjectStream.on('end', function () {
+      callback(results);
+    });
+
+    _.each(s3Objects, function (s3Object) {
+      s3DeleteObjectStream.write(s3Object);
+    });
+    s3DeleteObjectStream.end();
+  }
+
+  it('throws on an invalid batchSize option', function () {
+    expect(function () {
+      return new S3DeleteObjectStream({
+        s3Client: s3Client,
+        batchSize: 1001
+      });
+    }).to.throw(Error, 'Invalid options.batchSize, expected a number from 1 to 1000');
+  });
+
+  it('deletes in batches by bucket', function (done) {
+    runStream([
+      { Bucket: 'bucket1', Key: 'a' },
+      { Bucket: 'bucket2', Key: 'b', VersionId: 'v1' },
+      { Bucket: 'bucket1', Key: 'c' },
+      { Bucket: 'bucket1', Key: 'd' }
+    ], function (results) {
+      sinon.assert.calledThrice(s3Client.deleteObjects);
+      sinon.assert.calledWith(s3Client.deleteObjects, {
+        Bucket: 'bucket1',
+        Delete: {
+          Objects: [{ Key: 'a' }, { Key: 'c' }],
+          Quiet: false
+        }
+      });
+      sinon.assert.calledWith(s3Client.deleteObjects, {
+        Bucket: 'bucket2',
+        Delete: {
+          Objects: [{ Key: 'b', VersionId: 'v1' }],
+          Quiet: false
+        }
+      });
+      sinon.assert.calledWith(s3Client.deleteObjects, {
+        Bucket: 'bucket1',
+        Delete: {
+          Objects: [{ Key: 'd' }],
+          Quiet: false
+        }
+      });
+      expect(_.sortBy(results, 'Key')).to.eql([
+        { type: 'deleted', Bucket: 'bucket1', Key: 'a' },
+        { type: 'deleted', Bucket: 'bucket2', Key: 'b', VersionId: 'v1' },
+        { type: 'deleted', Bucket: 'bucket1', Key: 'c' },
+        { type: 'deleted', Bucket: 'bucket1', Key: 'd' }
+      ]);
+      done();
+    });
+  });
+
+  it('reports errors for keys', function (done) {
+    runStream([
+      { Bucket: 'bucket', Key: 'a' },
+      { Bucket: 'bucket', Key: 'locked' }
+    ], function (results) {
+      expect(results).to.eql([
+        { type: 'deleted', Bucket: 'bucket', Key: 'a' },
+        {
+          type: 'error',
+          Bucket: 'bucket',
+          Key: 'locked',
+          code: 'AccessDenied',
+          message: 'Access Denied'
+        }
+      ]);
+      done();
+    });
+  });
+
+  it('only reports what would be deleted in dry run mode', function (done) {
+    s3DeleteObjectStream = new S3DeleteObjectStream({
+      s3Client: s3Client,
+      dryRun: true
+    });
+
+    runStream([
+      { Bucket: 'bucket', Key: 'a', VersionId: 'v1' }
+    ], function (results) {
+      sinon.assert.notCalled(s3Client.deleteObjects);
+      expect(results).to.eql([
+        { type: 'deleted', Bucket: 'bucket', dryRun: true, Key: 'a', VersionId: 'v1' }
+      ]);
+      done();
+    });
+  });
+
+  it('waits for the records to be read before deleting more batches', function (done) {
+    _.times(40, function (index) {
+      s3DeleteObjectStream.write({ Bucket: 'bucket', Key: 'key' + index });
+    });
+    s3DeleteObjectStream.end();
+
+    setTimeout(function () {
+      // Stopped once the unread records filled the stream's buffer.
+      expect(s3Client.deleteObjects.callCount).to.be.below(20);
+
+      s3DeleteObjectStream.on('end', function () {
+        sinon.assert.callCount(s3Client.deleteObjects, 20);
+        done();
+      });
+      s3DeleteObjectStream.resume();
+    }, 20);
+  });
+
+  it('emits an error if a request fails', function (done) {
+    var error = new Error();
+
+    error.code = 'AccessDenied';
+    s3Client.deleteObjects.restore();
+    sandbox.stub(s3Client, 'deleteObjects').yields(error);
+
+    s3DeleteObjectStream.on('error', function (streamError) {
+      expect(streamError).to.equal(error);
+      done();
+    });
+
+    s3DeleteObjectStream.write({ Bucket: 'bucket', Key: 'a' });
+    s3DeleteObjectStream.end();
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * @fileOverview Tests for lib/stream/s3HeadObjectStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+
+// Local.
+var S3HeadObjectStream = require('../../../lib/stream/s3HeadObjectStream');
+
+describe('lib/stream/s3HeadObjectStream', function () {
+  var headObjectResponse;
+  var notFoundError;
+  var sandbox;
+  var s3Client;
+  var s3HeadObjectStream;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    headObjectResponse = {
+      ContentType: 'text/plain',
+      Metadata: {
+        owner: 'team'
+      },
+      ServerSideEncryption: 'AES256'
+    };
+    notFoundError = new Error();
+    notFoundError.code = 'NotFound';
+    notFoundError.statusCode = 404;
+
+    s3Client = new AWS.S3();
+    sandbox.stub(s3Client, 'headObject');
+    s3Client.headObject.yields(null, headObjectResponse);
+
+    s3HeadObjectStream = new S3HeadObjectStream({
+      s3Client: s3Client
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('throws on an invalid notFound option', function () {
+    expect(function () {
+      return new S3HeadObjectStream({
+        s3Client: s3Client,
+        notFound: 'fail'
+      });
+    }).to.throw(Error, 'Invalid options.notFound, expected skip or pass');
+  });
+
+  describe('processObject', function () {
+    it('merges in the metadata', function (done) {
+      s3HeadObjectStream.processObject({
+        Bucket: 'bucket',
+        Key: 'a',
+        Size: 10
+      }, function (error, s3Object) {
+        sinon.assert.calledWith(s3Client.headObject, {
+          Bucket: 'bucket',
+          Key: 'a'
+        });
+        expect(s3Object).to.eql({
+          Bucket: 'bucket',
+          Key: 'a',
+          Size: 10,
+          ContentType: 'text/plain',
+          Metadata: {
+            owner: 'team'
+          },
+          ServerSideEncryption: 'AES256'
+        });
+        done(error);
+      });
+    });
+
+    it('picks fields and heads versions', function (done) {
+      s3HeadObjectStream = new S3HeadObjectStream({
+        s3Client: s3Client,
+        fields: ['ContentType']
+      });
+
+      s3HeadObjectStream.processObject({
+        Bucket: 'bucket',
+        Key: 'a',
+        VersionId: 'v1'
+      }, function (error, s3Object) {
+        sinon.assert.calledWith(s3Client.headObject, {
+          Bucket: 'bucket',
+          Key: 'a',
+          VersionId: 'v1'
+        });
+        expect(s3Object).to.eql({
+          Bucket: 'bucket',
+          Key: 'a',
+          VersionId: 'v1',
+          ContentType: 'text/plain'
+        });
+        done(error);
+      });
+    });
+
+    it('passes delete markers through', function (done) {
+      var deleteMarker = {
+        Bucket: 'bucket',
+        Key: 'a',
+        VersionId: 'v1',
+        type: 'deleteMarker'
+      };
+
+      s3HeadObjectStream.processObject(deleteMarker, function (error, s3Object) {
+        sinon.assert.notCalled(s3Client.headObject);
+        expect(s3Object).to.equal(deleteMarker);
+        done(error);
+      });
+    });
+
+    it('skips objects that no longer exist', function (done) {
+      s3Client.headObject.yields(notFoundError);
+
+      s3HeadObjectStream.processObject({
+        Bucket: 'bucket',
+        Key: 'a'
+      }, function (error, s3Object) {
+        sinon.assert.calledOnce(s3Client.headObject);
+        expect(s3Object).to.equal(undefined);
+        done(error);
+      });
+    });
+
+    it('passes through objects that no longer exist if asked to', function (done) {
+      var s3Object = {
+        Bucket: 'bucket',
+        Key: 'a'
+      };
+
+      s3Client.headObject.yields(notFoundError);
+      s3HeadObjectStream.notFound = 'pass';
+
+      s3HeadObjectStream.processObject(s3Object, function (error, result) {
+        expect(result).to.equal(s3Object);
+        done(error);
+      });
+    });
+  });
+
+  describe('streaming', function () {
+    it('emits the objects with metadata', function (done) {
+      var keys = [];
+
+      s3Client.headObject.onCall(1).yields(notFoundError);
+
+      s3HeadObjectStream.on('data', function (s3Object) {
+        expect(s3Object.ContentType).to.equal('text/plain');
+        keys.push(s3Object.Key);
+      });
+      s3HeadObjectStream.on('end', function () {
+        expect(keys.sort()).to.eql(['a', 'c']);
+        done();
+      });
+
+      s3HeadObjectStream.write({ Bucket: 'bucket', Key: 'a' });
+      s3HeadObjectStream.write({ Bucket: 'bucket', Key: 'b' });
+      s3HeadObjectStream.write({ Bucket: 'bucket', Key: 'c' });
+      s3HeadObjectStream.end();
+    });
+  });
+});
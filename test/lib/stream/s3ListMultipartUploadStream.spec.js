@@ -0,0 +1,271 @@
+/**
+ * @fileOverview Tests for lib/stream/s3ListMultipartUploadStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+
+// Local.
+var S3ListMultipartUploadStream = require('../../../lib/stream/s3ListMultipartUploadStream');
+
+describe('lib/stream/s3ListMultipartUploadStream', function () {
+  var listMultipartUploadsResponse1;
+  var listMultipartUploadsResponse2;
+  var now;
+  var sandbox;
+  var s3Client;
+  var s3ListMultipartUploadStream;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+    now = new Date('2016-11-22T00:00:00.000Z').getTime();
+    sandbox.useFakeTimers(now, 'Date');
+
+    s3ListMultipartUploadStream = new S3ListMultipartUploadStream();
+
+    listMultipartUploadsResponse1 = {
+      IsTruncated: true,
+      NextKeyMarker: 'a2',
+      NextUploadIdMarker: 'u2',
+      Uploads: [
+        {
+          Key: 'a1',
+          UploadId: 'u1',
+          Initiated: new Date('2016-11-01T00:00:00.000Z')
+        },
+        {
+          Key: 'a2',
+          UploadId: 'u2',
+          Initiated: new Date('2016-11-21T00:00:00.000Z')
+        }
+      ]
+    };
+
+    listMultipartUploadsResponse2 = {
+      IsTruncated: false,
+      Uploads: [
+        {
+          Key: 'b1',
+          UploadId: 'u3',
+          Initiated: new Date('2016-10-01T00:00:00.000Z')
+        }
+      ]
+    };
+
+    s3Client = new AWS.S3();
+
+    sandbox.stub(s3Client, 'listMultipartUploads');
+    s3Client.listMultipartUploads.onCall(0).yields(null, listMultipartUploadsResponse1);
+    s3Client.listMultipartUploads.onCall(1).yields(null, listMultipartUploadsResponse2);
+
+    sandbox.stub(s3Client, 'listParts');
+    s3Client.listParts.yields(null, {
+      IsTruncated: false,
+      Parts: [
+        { PartNumber: 1, Size: 10 },
+        { PartNumber: 2, Size: 5 }
+      ]
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('listUploadParts', function () {
+    var options;
+    var upload;
+
+    beforeEach(function () {
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket'
+      };
+      upload = {
+        Key: 'a1',
+        UploadId: 'u1'
+      };
+    });
+
+    it('pages through parts and totals them', function (done) {
+      s3Client.listParts.onCall(0).yields(null, {
+        IsTruncated: true,
+        NextPartNumberMarker: 1,
+        Parts: [
+          { PartNumber: 1, Size: 10 }
+        ]
+      });
+
+      s3ListMultipartUploadStream.listUploadParts(options, upload, function (error, result) {
+        sinon.assert.callCount(s3Client.listParts, 2);
+        expect(s3Client.listParts.getCall(1).args[0]).to.eql({
+          Bucket: 'bucket',
+          Key: 'a1',
+          UploadId: 'u1',
+          PartNumberMarker: 1
+        });
+        expect(result).to.eql({
+          Key: 'a1',
+          UploadId: 'u1',
+          PartCount: 3,
+          Size: 25
+        });
+
+        done(error);
+      });
+    });
+
+    it('yields nothing if the upload no longer exists', function (done) {
+      var error = new Error();
+      error.code = 'NoSuchUpload';
+      s3Client.listParts.yields(error);
+
+      s3ListMultipartUploadStream.listUploadParts(options, upload, function (error, result) {
+        expect(result).to.equal(undefined);
+        done(error);
+      });
+    });
+  });
+
+  describe('listObjectsPage', function () {
+    var options;
+
+    beforeEach(function () {
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: 'prefix',
+        marker: {
+          keyMarker: 'keyMarker',
+          uploadIdMarker: 'uploadIdMarker'
+        },
+        maxKeys: 50,
+        delimiter: 'delimiter'
+      };
+    });
+
+    it('functions as expected', function (done) {
+      s3ListMultipartUploadStream.listObjectsPage(
+        options,
+        function (error, nextMarker, uploads) {
+          sinon.assert.calledWith(
+            s3Client.listMultipartUploads,
+            {
+              Bucket: options.bucket,
+              KeyMarker: 'keyMarker',
+              UploadIdMarker: 'uploadIdMarker',
+              MaxUploads: options.maxKeys,
+              Prefix: options.prefix,
+              Delimiter: options.delimiter
+            },
+            sinon.match.func
+          );
+          sinon.assert.notCalled(s3Client.listParts);
+
+          expect(nextMarker).to.eql({
+            keyMarker: 'a2',
+            uploadIdMarker: 'u2'
+          });
+          expect(uploads).to.eql(listMultipartUploadsResponse1.Uploads);
+
+          done(error);
+        }
+      );
+    });
+
+    it('filters by age and lists parts', function (done) {
+      options.olderThan = 7 * 24 * 60 * 60 * 1000;
+      options.listParts = true;
+
+      s3ListMultipartUploadStream.listObjectsPage(
+        options,
+        function (error, nextMarker, uploads) {
+          sinon.assert.callCount(s3Client.listParts, 1);
+          expect(uploads).to.eql([
+            {
+              Key: 'a1',
+              UploadId: 'u1',
+              Initiated: new Date('2016-11-01T00:00:00.000Z'),
+              PartCount: 2,
+              Size: 15
+            }
+          ]);
+
+          done(error);
+        }
+      );
+    });
+
+    it('filters by date', function (done) {
+      options.olderThan = new Date('2016-10-15T00:00:00.000Z');
+
+      s3ListMultipartUploadStream.listObjectsPage(
+        options,
+        function (error, nextMarker, uploads) {
+          expect(uploads).to.eql([]);
+          done(error);
+        }
+      );
+    });
+
+    it('retries on errors and yields errors appropriately', function (done) {
+      s3Client.listMultipartUploads.onCall(0).yields(new Error());
+      s3Client.listMultipartUploads.onCall(1).yields(new Error());
+      s3Client.listMultipartUploads.onCall(2).yields(new Error());
+
+      s3ListMultipartUploadStream.listObjectsPage(options, function (error) {
+        sinon.assert.callCount(s3Client.listMultipartUploads, 3);
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('listObjects', function () {
+    it('yields error for options.apiVersion 2', function (done) {
+      s3ListMultipartUploadStream.listObjects({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        apiVersion: 2
+      }, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(s3Client.listMultipartUploads);
+        done();
+      });
+    });
+  });
+
+  describe('streaming', function () {
+    var index;
+    var options;
+
+    beforeEach(function () {
+      index = 0;
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket',
+        olderThan: 7 * 24 * 60 * 60 * 1000
+      };
+    });
+
+    it('in flowing mode', function (done) {
+      var keys = ['a1', 'b1'];
+
+      s3ListMultipartUploadStream.on('data', function (upload) {
+        expect(upload.Bucket).to.equal('bucket');
+        expect(upload.Key).to.equal(keys[index]);
+        index++;
+      });
+
+      s3ListMultipartUploadStream.on('end', function () {
+        expect(index).to.equal(keys.length);
+        expect(s3Client.listMultipartUploads.getCall(1).args[0].KeyMarker).to.equal('a2');
+        expect(s3Client.listMultipartUploads.getCall(1).args[0].UploadIdMarker).to.equal('u2');
+        done();
+      });
+
+      s3ListMultipartUploadStream.write(options);
+      s3ListMultipartUploadStream.end();
+    });
+  });
+});
@@ -2,10 +2,16 @@
  * @fileOverview Tests for lib/stream/s3ListObjectStream.
  */
 
+// Core.
+var EventEmitter = require('events').EventEmitter;
+
 // NPM.
 var AWS = require('aws-sdk');
+var _ = require('lodash');
 
 // Local.
+var AbortError = require('../../../lib/abortError');
+var RateLimiter = require('../../../lib/rateLimiter');
 var S3ListObjectStream = require('../../../lib/stream/s3ListObjectStream');
 
 describe('lib/stream/s3ListObjectStream', function () {
@@ -69,12 +75,36 @@ describe('lib/stream/s3ListObjectStream', function () {
     sandbox.stub(s3Client, 'listObjects');
     s3Client.listObjects.onCall(0).yields(null, listObjectResponse1);
     s3Client.listObjects.onCall(1).yields(null, listObjectResponse2);
+
+    sandbox.stub(s3Client, 'listObjectsV2');
+    s3Client.listObjectsV2.onCall(0).yields(null, _.extend({
+      NextContinuationToken: 'token'
+    }, listObjectResponse1));
+    s3Client.listObjectsV2.onCall(1).yields(null, listObjectResponse2);
   });
 
   afterEach(function () {
     sandbox.restore();
   });
 
+  /**
+   * Create an object that behaves as an AbortSignal for the purposes of
+   * these tests.
+   */
+  function createSignal () {
+    var emitter = new EventEmitter();
+
+    return {
+      aborted: false,
+      addEventListener: emitter.on.bind(emitter),
+      removeEventListener: emitter.removeListener.bind(emitter),
+      abort: function () {
+        this.aborted = true;
+        emitter.emit('abort');
+      }
+    };
+  }
+
   describe('listObjectsPage', function () {
     var options;
 
@@ -107,6 +137,40 @@ describe('lib/stream/s3ListObjectStream', function () {
       });
     });
 
+    it('passes request options and decodes URL encoded keys', function (done) {
+      options.requestPayer = 'requester';
+      options.expectedBucketOwner = '111122223333';
+      options.encodingType = 'url';
+      s3Client.listObjects.onCall(0).yields(null, {
+        IsTruncated: true,
+        NextMarker: 'b%0D+c%2B/',
+        CommonPrefixes: [
+          { Prefix: 'b%0D+c%2B/' }
+        ],
+        Contents: [
+          { Key: 'a%0D+b%2B1' }
+        ]
+      });
+
+      s3ListObjectStream.listObjectsPage(
+        options,
+        function (error, nextMarker, s3Objects, commonPrefixes) {
+          expect(s3Client.listObjects.getCall(0).args[0]).to.include({
+            RequestPayer: 'requester',
+            ExpectedBucketOwner: '111122223333',
+            EncodingType: 'url'
+          });
+          expect(nextMarker).to.equal('b\r c+/');
+          expect(s3Objects).to.eql([
+            { Key: 'a\r b+1' }
+          ]);
+          expect(commonPrefixes).to.eql(['b\r c+/']);
+
+          done(error);
+        }
+      );
+    });
+
     it('retries on errors and yields errors appropriately', function (done) {
       // Errors to get past the retry.
       s3Client.listObjects.onCall(0).yields(new Error());
@@ -119,6 +183,106 @@ describe('lib/stream/s3ListObjectStream', function () {
         done();
       });
     })
+
+    it('emits retry events', function (done) {
+      var error = new Error();
+      var retries = [];
+      s3Client.listObjects.onCall(0).yields(error);
+
+      s3ListObjectStream.on('retry', function (retry) {
+        retries.push(retry);
+      });
+
+      s3ListObjectStream.listObjectsPage(options, function (listError) {
+        sinon.assert.callCount(s3Client.listObjects, 2);
+        expect(retries).to.eql([
+          {
+            error: error,
+            attempt: 1
+          }
+        ]);
+        done(listError);
+      });
+    });
+
+    it('does not retry non-retryable errors', function (done) {
+      var error = new Error();
+      error.code = 'NoSuchBucket';
+      s3Client.listObjects.onCall(0).yields(error);
+
+      s3ListObjectStream.listObjectsPage(options, function (error) {
+        sinon.assert.callCount(s3Client.listObjects, 1);
+        expect(error.code).to.equal('NoSuchBucket');
+        done();
+      });
+    });
+
+    it('yields common prefixes and uses NextMarker if present', function (done) {
+      s3Client.listObjects.onCall(0).yields(null, {
+        IsTruncated: true,
+        NextMarker: 'prefix/b/',
+        Contents: [],
+        CommonPrefixes: [
+          { Prefix: 'prefix/a/' },
+          { Prefix: 'prefix/b/' }
+        ]
+      });
+
+      s3ListObjectStream.listObjectsPage(
+        options,
+        function (error, nextMarker, s3Objects, commonPrefixes) {
+          expect(nextMarker).to.equal('prefix/b/');
+          expect(s3Objects).to.eql([]);
+          expect(commonPrefixes).to.eql(['prefix/a/', 'prefix/b/']);
+
+          done(error);
+        }
+      );
+    });
+
+    it('uses the last common prefix if NextMarker is absent', function (done) {
+      s3Client.listObjects.onCall(0).yields(null, {
+        IsTruncated: true,
+        Contents: [
+          { Key: 'prefix/a1' }
+        ],
+        CommonPrefixes: [
+          { Prefix: 'prefix/b/' }
+        ]
+      });
+
+      s3ListObjectStream.listObjectsPage(options, function (error, nextMarker) {
+        expect(nextMarker).to.equal('prefix/b/');
+        done(error);
+      });
+    });
+
+    it('uses listObjectsV2 for apiVersion 2', function (done) {
+      options.apiVersion = 2;
+      options.continuationToken = 'token';
+      options.startAfter = 'startAfter';
+      options.fetchOwner = true;
+
+      s3ListObjectStream.listObjectsPage(options, function (error, nextMarker) {
+        sinon.assert.notCalled(s3Client.listObjects);
+        sinon.assert.calledWith(
+          s3Client.listObjectsV2,
+          {
+            Bucket: options.bucket,
+            ContinuationToken: options.continuationToken,
+            StartAfter: options.startAfter,
+            FetchOwner: true,
+            MaxKeys: options.maxKeys,
+            Prefix: options.prefix,
+            Delimiter: options.delimiter
+          },
+          sinon.match.func
+        );
+        expect(nextMarker).to.equal('token');
+
+        done(error);
+      });
+    });
   });
 
   describe('listObjects', function () {
@@ -172,6 +336,202 @@ describe('lib/stream/s3ListObjectStream', function () {
       });
     });
 
+    it('emits common prefixes as prefix events', function (done) {
+      var prefixes = [];
+
+      sandbox.stub(s3ListObjectStream, 'push');
+      s3ListObjectStream.on('prefix', function (prefixObject) {
+        prefixes.push(prefixObject);
+      });
+
+      s3Client.listObjects.onCall(0).yields(null, {
+        IsTruncated: true,
+        NextMarker: 'prefix/c/',
+        Contents: [],
+        CommonPrefixes: [
+          { Prefix: 'prefix/c/' }
+        ]
+      });
+      s3Client.listObjects.onCall(1).yields(null, _.extend({
+        CommonPrefixes: [
+          { Prefix: 'prefix/d/' }
+        ]
+      }, listObjectResponse2));
+
+      s3ListObjectStream.listObjects(options, function (error) {
+        expect(s3Client.listObjects.getCall(1).args[0].Marker).to.equal('prefix/c/');
+        sinon.assert.callCount(s3ListObjectStream.push, 2);
+        expect(prefixes).to.eql([
+          {
+            Bucket: options.bucket,
+            Prefix: 'prefix/c/',
+            type: 'prefix'
+          },
+          {
+            Bucket: options.bucket,
+            Prefix: 'prefix/d/',
+            type: 'prefix'
+          }
+        ]);
+
+        done(error);
+      });
+    });
+
+    it('functions as expected for apiVersion 2', function (done) {
+      sandbox.stub(s3ListObjectStream, 'push');
+      options.apiVersion = 2;
+      options.startAfter = 'prefix/a0';
+
+      s3ListObjectStream.listObjects(options, function (error) {
+        sinon.assert.notCalled(s3Client.listObjects);
+        sinon.assert.callCount(s3Client.listObjectsV2, 2);
+        sinon.assert.callCount(s3ListObjectStream.push, 4);
+
+        expect(s3Client.listObjectsV2.getCall(0).args[0]).to.eql({
+          Bucket: options.bucket,
+          ContinuationToken: undefined,
+          StartAfter: options.startAfter,
+          FetchOwner: true,
+          MaxKeys: 1000,
+          Prefix: options.prefix,
+          Delimiter: options.delimiter
+        });
+        expect(s3Client.listObjectsV2.getCall(1).args[0]).to.eql({
+          Bucket: options.bucket,
+          ContinuationToken: 'token',
+          StartAfter: options.startAfter,
+          FetchOwner: true,
+          MaxKeys: 1000,
+          Prefix: options.prefix,
+          Delimiter: options.delimiter
+        });
+
+        done(error);
+      });
+    });
+
+    it('uses startAfter as the initial marker for apiVersion 1', function (done) {
+      sandbox.stub(s3ListObjectStream, 'push');
+      options.startAfter = 'prefix/a0';
+
+      s3ListObjectStream.listObjects(options, function (error) {
+        expect(s3Client.listObjects.getCall(0).args[0].Marker).to.equal(
+          options.startAfter
+        );
+
+        done(error);
+      });
+    });
+
+    it('emits a checkpoint after each page', function (done) {
+      var checkpoints = [];
+
+      sandbox.stub(s3ListObjectStream, 'push');
+      s3ListObjectStream.on('checkpoint', function (checkpoint) {
+        // Objects from the page are pushed before the checkpoint.
+        checkpoints.push([checkpoint, s3ListObjectStream.push.callCount]);
+      });
+
+      s3ListObjectStream.listObjects(options, function (error) {
+        expect(checkpoints).to.eql([
+          [
+            {
+              bucket: options.bucket,
+              prefix: options.prefix,
+              marker: listObjectResponse1.Contents[1].Key,
+              complete: false
+            },
+            2
+          ],
+          [
+            {
+              bucket: options.bucket,
+              prefix: options.prefix,
+              marker: undefined,
+              complete: true
+            },
+            4
+          ]
+        ]);
+
+        done(error);
+      });
+    });
+
+    it('resumes from a checkpoint', function (done) {
+      sandbox.stub(s3ListObjectStream, 'push');
+      options.resumeFrom = {
+        bucket: options.bucket,
+        prefix: options.prefix,
+        marker: 'a2',
+        complete: false
+      };
+
+      s3ListObjectStream.listObjects(options, function (error) {
+        expect(s3Client.listObjects.getCall(0).args[0].Marker).to.equal('a2');
+        done(error);
+      });
+    });
+
+    it('resumes from a checkpoint for apiVersion 2', function (done) {
+      sandbox.stub(s3ListObjectStream, 'push');
+      options.apiVersion = 2;
+      options.resumeFrom = {
+        bucket: options.bucket,
+        prefix: options.prefix,
+        continuationToken: 'token',
+        complete: false
+      };
+
+      s3ListObjectStream.once('checkpoint', function (checkpoint) {
+        expect(checkpoint.continuationToken).to.equal('token');
+      });
+
+      s3ListObjectStream.listObjects(options, function (error) {
+        expect(s3Client.listObjectsV2.getCall(0).args[0].ContinuationToken).to.equal('token');
+        done(error);
+      });
+    });
+
+    it('lists nothing when resuming from a complete checkpoint', function (done) {
+      options.resumeFrom = {
+        bucket: options.bucket,
+        prefix: options.prefix,
+        complete: true
+      };
+
+      s3ListObjectStream.listObjects(options, function (error) {
+        sinon.assert.notCalled(s3Client.listObjects);
+        done(error);
+      });
+    });
+
+    it('yields error for a checkpoint from a different listing', function (done) {
+      options.resumeFrom = {
+        bucket: 'otherBucket',
+        prefix: options.prefix,
+        marker: 'a2',
+        complete: false
+      };
+
+      s3ListObjectStream.listObjects(options, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(s3Client.listObjects);
+        done();
+      });
+    });
+
+    it('yields error for invalid options.apiVersion', function (done) {
+      options.apiVersion = 3;
+
+      s3ListObjectStream.listObjects(options, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(s3Client.listObjects);
+        done();
+      });
+    });
+
     it('yields error for failed API call', function (done) {
       s3Client.listObjects.onCall(0).yields(new Error());
       s3Client.listObjects.onCall(1).yields(new Error());
@@ -266,6 +626,110 @@ describe('lib/stream/s3ListObjectStream', function () {
       s3ListObjectStream.end();
     });
 
+    it('emits progress', function (done) {
+      var progress = [];
+
+      s3ListObjectStream = new S3ListObjectStream({
+        progressInterval: 0
+      });
+
+      s3ListObjectStream.on('progress', function (stats) {
+        progress.push(stats);
+      });
+      s3ListObjectStream.on('data', _.noop);
+      s3ListObjectStream.on('end', function () {
+        // One for each page and a last one at the end.
+        expect(progress).to.have.length(3);
+        expect(_.last(progress)).to.include({
+          requests: 2,
+          pages: 2,
+          objects: 4,
+          inFlight: 0
+        });
+        expect(_.last(progress).inputs[0]).to.include({
+          bucket: 'bucket',
+          prefix: 'prefix',
+          complete: true,
+          objects: 4
+        });
+        expect(s3ListObjectStream.getStats().buckets.bucket.objects).to.equal(4);
+        done();
+      });
+
+      s3ListObjectStream.write(options);
+      s3ListObjectStream.end();
+    });
+
+    it('waits for the consumer before listing more', function (done) {
+      s3ListObjectStream = new S3ListObjectStream({
+        highWaterMark: 1
+      });
+
+      s3ListObjectStream.write(options);
+      s3ListObjectStream.end();
+
+      setTimeout(function () {
+        sinon.assert.callCount(s3Client.listObjects, 1);
+
+        s3ListObjectStream.on('data', function (s3Object) {
+          expect(s3Objects[index]).to.eql(s3Object);
+          index++;
+        });
+        s3ListObjectStream.on('end', function () {
+          sinon.assert.callCount(s3Client.listObjects, 2);
+          expect(index).to.equal(s3Objects.length);
+          done();
+        });
+      }, 20);
+    });
+
+    it('with a function in place of a client', function (done) {
+      options.s3Client = sandbox.stub();
+      options.s3Client.onCall(0).returns(Promise.resolve(listObjectResponse1));
+      options.s3Client.onCall(1).returns(Promise.resolve(listObjectResponse2));
+
+      s3ListObjectStream.on('data', function (s3Object) {
+        expect(s3Objects[index]).to.eql(s3Object);
+        index++;
+      });
+
+      s3ListObjectStream.on('end', function () {
+        sinon.assert.calledWith(options.s3Client, 'listObjects', sinon.match({
+          Bucket: 'bucket',
+          Marker: 'a2'
+        }));
+        expect(index).to.equal(s3Objects.length);
+        done();
+      });
+
+      s3ListObjectStream.write(options);
+      s3ListObjectStream.end();
+    });
+
+    it('waits on the rate limiter before each request', function (done) {
+      var rateLimiter = new RateLimiter({
+        bucketRequestsPerSecond: 100
+      });
+
+      sandbox.spy(rateLimiter, 'acquire');
+      s3ListObjectStream = new S3ListObjectStream({
+        rateLimiter: rateLimiter
+      });
+
+      s3ListObjectStream.on('data', function () {});
+      s3ListObjectStream.on('end', function () {
+        sinon.assert.calledTwice(rateLimiter.acquire);
+        sinon.assert.alwaysCalledWith(rateLimiter.acquire, {
+          bucket: 'bucket',
+          prefix: 'prefix'
+        });
+        done();
+      });
+
+      s3ListObjectStream.write(options);
+      s3ListObjectStream.end();
+    });
+
     it('emits errors appropriately', function (done) {
       s3Client.listObjects.onCall(0).yields(new Error());
       s3Client.listObjects.onCall(1).yields(new Error());
@@ -280,4 +744,70 @@ describe('lib/stream/s3ListObjectStream', function () {
     });
   });
 
+  describe('cancellation', function () {
+    var awsRequest;
+    var options;
+
+    beforeEach(function () {
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket'
+      };
+
+      // A request that never completes.
+      awsRequest = {
+        abort: sandbox.stub()
+      };
+      s3Client.listObjects.restore();
+      sandbox.stub(s3Client, 'listObjects').returns(awsRequest);
+    });
+
+    it('aborts requests in progress when destroyed', function (done) {
+      sandbox.spy(s3ListObjectStream, 'push');
+
+      s3ListObjectStream.on('close', function () {
+        sinon.assert.calledOnce(awsRequest.abort);
+        sinon.assert.notCalled(s3ListObjectStream.push);
+        expect(s3ListObjectStream.activeRequests).to.eql([]);
+        done();
+      });
+
+      s3ListObjectStream.write(options);
+      expect(s3ListObjectStream.activeRequests).to.eql([awsRequest]);
+      s3ListObjectStream.destroy();
+    });
+
+    it('emits an AbortError when the signal is aborted', function (done) {
+      var signal = createSignal();
+
+      s3ListObjectStream = new S3ListObjectStream({
+        signal: signal
+      });
+
+      s3ListObjectStream.on('error', function (error) {
+        expect(error).to.be.instanceOf(AbortError);
+        expect(error.code).to.equal('ABORT_ERR');
+        sinon.assert.calledOnce(awsRequest.abort);
+        done();
+      });
+
+      s3ListObjectStream.write(options);
+      signal.abort();
+    });
+
+    it('emits an AbortError for a signal that is already aborted', function (done) {
+      var signal = createSignal();
+
+      signal.aborted = true;
+      s3ListObjectStream = new S3ListObjectStream({
+        signal: signal
+      });
+
+      s3ListObjectStream.on('error', function (error) {
+        expect(error).to.be.instanceOf(AbortError);
+        done();
+      });
+    });
+  });
+
 });
@@ -0,0 +1,304 @@
+/**
+ * @fileOverview Tests for lib/stream/s3ListObjectVersionStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+var _ = require('lodash');
+
+// Local.
+var S3ListObjectVersionStream = require('../../../lib/stream/s3ListObjectVersionStream');
+
+describe('lib/stream/s3ListObjectVersionStream', function () {
+  var listObjectVersionsResponse1;
+  var listObjectVersionsResponse2;
+  var sandbox;
+  var s3Client;
+  var s3ListObjectVersionStream;
+  var s3Objects;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    s3ListObjectVersionStream = new S3ListObjectVersionStream();
+
+    listObjectVersionsResponse1 = {
+      IsTruncated: true,
+      NextKeyMarker: 'a2',
+      NextVersionIdMarker: 'v1',
+      Versions: [
+        {
+          Key: 'a1',
+          VersionId: 'v2',
+          IsLatest: true,
+          LastModified: new Date('2016-11-22T15:24:09.000Z')
+        },
+        {
+          Key: 'a2',
+          VersionId: 'v1',
+          IsLatest: false,
+          LastModified: new Date('2016-11-20T15:24:09.000Z')
+        }
+      ],
+      DeleteMarkers: [
+        {
+          Key: 'a2',
+          VersionId: 'v3',
+          IsLatest: true,
+          LastModified: new Date('2016-11-21T15:24:09.000Z')
+        }
+      ]
+    };
+
+    listObjectVersionsResponse2 = {
+      IsTruncated: false,
+      Versions: [
+        {
+          Key: 'b1',
+          VersionId: 'v4',
+          IsLatest: true,
+          LastModified: new Date('2016-11-22T15:24:09.000Z')
+        }
+      ]
+    };
+
+    s3Objects = [
+      {
+        Bucket: 'bucket',
+        Key: 'a1',
+        VersionId: 'v2',
+        IsLatest: true,
+        LastModified: new Date('2016-11-22T15:24:09.000Z'),
+        type: 'version'
+      },
+      {
+        Bucket: 'bucket',
+        Key: 'a2',
+        VersionId: 'v3',
+        IsLatest: true,
+        LastModified: new Date('2016-11-21T15:24:09.000Z'),
+        type: 'deleteMarker'
+      },
+      {
+        Bucket: 'bucket',
+        Key: 'a2',
+        VersionId: 'v1',
+        IsLatest: false,
+        LastModified: new Date('2016-11-20T15:24:09.000Z'),
+        type: 'version'
+      },
+      {
+        Bucket: 'bucket',
+        Key: 'b1',
+        VersionId: 'v4',
+        IsLatest: true,
+        LastModified: new Date('2016-11-22T15:24:09.000Z'),
+        type: 'version'
+      }
+    ];
+
+    s3Client = new AWS.S3();
+
+    sandbox.stub(s3Client, 'listObjectVersions');
+    s3Client.listObjectVersions.onCall(0).yields(null, listObjectVersionsResponse1);
+    s3Client.listObjectVersions.onCall(1).yields(null, listObjectVersionsResponse2);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('mergeVersions', function () {
+    it('puts the latest first when entries share a LastModified', function () {
+      var lastModified = new Date('2016-11-22T15:24:09.000Z');
+      var merged = S3ListObjectVersionStream.mergeVersions({
+        Versions: [
+          {
+            Key: 'a1',
+            VersionId: 'v1',
+            IsLatest: false,
+            LastModified: lastModified
+          }
+        ],
+        DeleteMarkers: [
+          {
+            Key: 'a1',
+            VersionId: 'v2',
+            IsLatest: true,
+            LastModified: lastModified
+          }
+        ]
+      });
+
+      expect(_.map(merged, 'VersionId')).to.eql(['v2', 'v1']);
+    });
+  });
+
+  describe('listObjectsPage', function () {
+    var options;
+
+    beforeEach(function () {
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: 'prefix',
+        marker: {
+          keyMarker: 'keyMarker',
+          versionIdMarker: 'versionIdMarker'
+        },
+        maxKeys: 50,
+        delimiter: 'delimiter'
+      };
+    });
+
+    it('functions as expected', function (done) {
+      s3ListObjectVersionStream.listObjectsPage(
+        options,
+        function (error, nextMarker, versions) {
+          sinon.assert.calledWith(
+            s3Client.listObjectVersions,
+            {
+              Bucket: options.bucket,
+              KeyMarker: 'keyMarker',
+              VersionIdMarker: 'versionIdMarker',
+              MaxKeys: options.maxKeys,
+              Prefix: options.prefix,
+              Delimiter: options.delimiter
+            },
+            sinon.match.func
+          );
+
+          expect(nextMarker).to.eql({
+            keyMarker: 'a2',
+            versionIdMarker: 'v1'
+          });
+          expect(versions).to.have.length(3);
+          expect(versions[1].type).to.equal('deleteMarker');
+
+          done(error);
+        }
+      );
+    });
+
+    it('passes request options and decodes URL encoded keys', function (done) {
+      options.requestPayer = 'requester';
+      options.expectedBucketOwner = '111122223333';
+      options.encodingType = 'url';
+      s3Client.listObjectVersions.onCall(0).yields(null, {
+        IsTruncated: true,
+        NextKeyMarker: 'a%0D+2',
+        NextVersionIdMarker: 'v2',
+        Versions: [
+          { Key: 'a%0D+1', VersionId: 'v1' }
+        ],
+        DeleteMarkers: [
+          { Key: 'a%0D+2', VersionId: 'v2' }
+        ]
+      });
+
+      s3ListObjectVersionStream.listObjectsPage(
+        options,
+        function (error, nextMarker, versions) {
+          expect(s3Client.listObjectVersions.getCall(0).args[0]).to.include({
+            RequestPayer: 'requester',
+            ExpectedBucketOwner: '111122223333',
+            EncodingType: 'url'
+          });
+          expect(nextMarker).to.eql({
+            keyMarker: 'a\r 2',
+            versionIdMarker: 'v2'
+          });
+          expect(_.map(versions, 'Key')).to.eql(['a\r 1', 'a\r 2']);
+
+          done(error);
+        }
+      );
+    });
+
+    it('uses a string marker as the key marker', function (done) {
+      options.marker = 'startAfter';
+
+      s3ListObjectVersionStream.listObjectsPage(options, function (error) {
+        expect(s3Client.listObjectVersions.getCall(0).args[0].KeyMarker).to.equal(
+          'startAfter'
+        );
+        expect(s3Client.listObjectVersions.getCall(0).args[0].VersionIdMarker).to.equal(
+          undefined
+        );
+
+        done(error);
+      });
+    });
+
+    it('retries on errors and yields errors appropriately', function (done) {
+      s3Client.listObjectVersions.onCall(0).yields(new Error());
+      s3Client.listObjectVersions.onCall(1).yields(new Error());
+      s3Client.listObjectVersions.onCall(2).yields(new Error());
+
+      s3ListObjectVersionStream.listObjectsPage(options, function (error) {
+        sinon.assert.callCount(s3Client.listObjectVersions, 3);
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('listObjects', function () {
+    it('yields error for options.apiVersion 2', function (done) {
+      s3ListObjectVersionStream.listObjects({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        apiVersion: 2
+      }, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(s3Client.listObjectVersions);
+        done();
+      });
+    });
+  });
+
+  describe('streaming', function () {
+    var index;
+    var options;
+
+    beforeEach(function () {
+      index = 0;
+      options = {
+        s3Client: s3Client,
+        bucket: 'bucket',
+        prefix: 'prefix',
+        maxKeys: 50
+      };
+    });
+
+    it('in flowing mode', function (done) {
+      s3ListObjectVersionStream.on('data', function (s3Object) {
+        expect(s3Objects[index]).to.eql(s3Object);
+        index++;
+      });
+
+      s3ListObjectVersionStream.on('end', function () {
+        expect(index).to.equal(s3Objects.length);
+        expect(s3Client.listObjectVersions.getCall(1).args[0].KeyMarker).to.equal('a2');
+        expect(s3Client.listObjectVersions.getCall(1).args[0].VersionIdMarker).to.equal('v1');
+        done();
+      });
+
+      s3ListObjectVersionStream.write(options);
+      s3ListObjectVersionStream.end();
+    });
+
+    it('emits errors appropriately', function (done) {
+      s3Client.listObjectVersions.onCall(0).yields(new Error());
+      s3Client.listObjectVersions.onCall(1).yields(new Error());
+      s3Client.listObjectVersions.onCall(2).yields(new Error());
+
+      s3ListObjectVersionStream.on('error', function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+
+      s3ListObjectVersionStream.write(options);
+    });
+  });
+});
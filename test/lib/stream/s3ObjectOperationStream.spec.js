@@ -0,0 +1,290 @@
+/**
+ * @fileOverview Tests for lib/stream/s3ObjectOperationStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+var _ = require('lodash');
+
+// Local.
+var RateLimiter = require('../../../lib/rateLimiter');
+var S3ConcurrentListObjectStream = require('../../../lib/stream/s3ConcurrentListObjectStream');
+var S3ObjectOperationStream = require('../../../lib/stream/s3ObjectOperationStream');
+
+describe('lib/stream/s3ObjectOperationStream', function () {
+  var callbacks;
+  var sandbox;
+  var s3Client;
+  var s3ObjectOperationStream;
+  var s3Objects;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    s3Client = new AWS.S3();
+    s3Objects = _.map(['a', 'b', 'c'], function (key) {
+      return {
+        Bucket: 'bucket',
+        Key: key
+      };
+    });
+
+    // Hold each object until the test completes it.
+    callbacks = [];
+    s3ObjectOperationStream = new S3ObjectOperationStream({
+      s3Client: s3Client,
+      maxConcurrency: 2
+    });
+    sandbox.stub(s3ObjectOperationStream, 'processObject', function (s3Object, callback) {
+      callbacks.push(function (error) {
+        callback(error, error ? undefined : _.extend({ processed: true }, s3Object));
+      });
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('throws without a client', function () {
+    expect(function () {
+      return new S3ObjectOperationStream();
+    }).to.throw(Error, 'Missing options.s3Client');
+  });
+
+  it('processes objects concurrently up to the limit', function (done) {
+    var results = [];
+    var writeCallback = sandbox.stub();
+
+    s3ObjectOperationStream.on('data', function (result) {
+      results.push(result.Key);
+    });
+    s3ObjectOperationStream.on('end', function () {
+      expect(results).to.eql(['b', 'a', 'c']);
+      done();
+    });
+
+    s3ObjectOperationStream.write(s3Objects[0]);
+    s3ObjectOperationStream.write(s3Objects[1]);
+    s3ObjectOperationStream.write(s3Objects[2], writeCallback);
+    s3ObjectOperationStream.end();
+
+    setTimeout(function () {
+      // Two in progress, and the third not yet accepted.
+      expect(callbacks.length).to.equal(2);
+      sinon.assert.notCalled(writeCallback);
+
+      callbacks[1]();
+      callbacks[0]();
+
+      setTimeout(function () {
+        expect(callbacks.length).to.equal(3);
+        sinon.assert.calledOnce(writeCallback);
+        callbacks[2]();
+      }, 10);
+    }, 10);
+  });
+
+  it('calls complete before ending', function (done) {
+    sandbox.stub(s3ObjectOperationStream, 'complete', function (callback) {
+      this.push({
+        summary: true
+      });
+      callback();
+    });
+
+    s3ObjectOperationStream.on('data', _.noop);
+    s3ObjectOperationStream.on('end', function () {
+      sinon.assert.calledOnce(s3ObjectOperationStream.complete);
+      done();
+    });
+
+    s3ObjectOperationStream.write(s3Objects[0]);
+    s3ObjectOperationStream.end();
+
+    setTimeout(function () {
+      sinon.assert.notCalled(s3ObjectOperationStream.complete);
+      callbacks[0]();
+    }, 10);
+  });
+
+  it('is destroyed with the error if processing fails', function (done) {
+    var error = new Error();
+
+    s3ObjectOperationStream.on('error', function (streamError) {
+      expect(streamError).to.equal(error);
+      expect(s3ObjectOperationStream.queue.length()).to.equal(0);
+      done();
+    });
+
+    s3ObjectOperationStream.write(s3Objects[0]);
+    s3ObjectOperationStream.write(s3Objects[1]);
+    s3ObjectOperationStream.write(s3Objects[2]);
+
+    setTimeout(function () {
+      callbacks[0](error);
+    }, 10);
+  });
+
+  describe('getKeyPrefix', function () {
+    it('returns the key up to the last delimiter', function () {
+      expect(S3ObjectOperationStream.getKeyPrefix('a/b/c')).to.equal('a/b/');
+      expect(S3ObjectOperationStream.getKeyPrefix('a/b/')).to.equal('a/b/');
+      expect(S3ObjectOperationStream.getKeyPrefix('c')).to.equal('');
+      expect(S3ObjectOperationStream.getKeyPrefix()).to.equal('');
+    });
+  });
+
+  it('emits an error for an invalid object', function (done) {
+    s3ObjectOperationStream.on('error', function (error) {
+      expect(error.message).to.match(/^Invalid S3 object definition/);
+      done();
+    });
+
+    s3ObjectOperationStream.write({
+      Bucket: 'bucket'
+    });
+  });
+
+  describe('request', function () {
+    beforeEach(function () {
+      sandbox.stub(s3Client, 'headObject');
+    });
+
+    it('retries failed requests', function (done) {
+      var retries = [];
+
+      s3Client.headObject.onCall(0).yields(new Error());
+      s3Client.headObject.onCall(1).yields(null, {
+        ContentType: 'text/plain'
+      });
+      s3ObjectOperationStream.on('retry', function (retry) {
+        retries.push(retry.attempt);
+      });
+
+      s3ObjectOperationStream.request('headObject', {
+        Bucket: 'bucket',
+        Key: 'a'
+      }, function (error, response) {
+        sinon.assert.calledTwice(s3Client.headObject);
+        expect(retries).to.eql([1]);
+        expect(response).to.eql({
+          ContentType: 'text/plain'
+        });
+        done(error);
+      });
+    });
+
+    it('uses the given commands for a v3 client', function (done) {
+      var commands = {
+        HeadObjectCommand: function (input) {
+          this.input = input;
+        }
+      };
+      var v3Client = {
+        send: sandbox.stub().returns(Promise.resolve({
+          ContentType: 'text/plain'
+        }))
+      };
+
+      s3ObjectOperationStream = new S3ObjectOperationStream({
+        s3Client: v3Client,
+        s3Commands: commands
+      });
+
+      s3ObjectOperationStream.request('headObject', {
+        Bucket: 'bucket',
+        Key: 'a'
+      }, function (error, response) {
+        expect(v3Client.send.getCall(0).args[0]).to.be.instanceOf(
+          commands.HeadObjectCommand
+        );
+        expect(response).to.eql({
+          ContentType: 'text/plain'
+        });
+        done(error);
+      });
+    });
+
+    it('rate limits requests by the prefix of the key', function (done) {
+      var rateLimiter = new RateLimiter({
+        prefixRequestsPerSecond: 10
+      });
+
+      sandbox.stub(rateLimiter, 'acquire').yields();
+      s3Client.headObject.yields(null, {});
+      s3ObjectOperationStream = new S3ObjectOperationStream({
+        s3Client: s3Client,
+        rateLimiter: rateLimiter
+      });
+
+      s3ObjectOperationStream.request('headObject', {
+        Bucket: 'bucket',
+        Key: 'a/b/c'
+      }, function (error) {
+        sinon.assert.calledWith(rateLimiter.acquire, {
+          bucket: 'bucket',
+          prefix: 'a/b/'
+        });
+        done(error);
+      });
+    });
+
+    it('shares the prefix limit with listings of the same directory', function (done) {
+      var rateLimiter = new RateLimiter({
+        prefixRequestsPerSecond: 10
+      });
+      var s3ConcurrentListObjectStream = new S3ConcurrentListObjectStream({
+        rateLimiter: rateLimiter
+      });
+
+      sandbox.useFakeTimers();
+      sandbox.stub(s3Client, 'listObjectsV2').yields(null, {
+        Contents: []
+      });
+      s3Client.headObject.yields(null, {});
+      s3ObjectOperationStream = new S3ObjectOperationStream({
+        s3Client: s3Client,
+        rateLimiter: rateLimiter
+      });
+
+      // A 'subdirectory' of the listing, as listed by one of its tasks.
+      s3ConcurrentListObjectStream.listDirectoryPage({
+        s3Client: s3Client,
+        bucket: 'bucket',
+        delimiter: '/',
+        prefix: 'a/b/'
+      }, function (listError) {
+        s3ObjectOperationStream.request('headObject', {
+          Bucket: 'bucket',
+          Key: 'a/b/c'
+        }, function (error) {
+          expect(_.keys(rateLimiter.tokenBuckets)).to.eql(['prefix:bucket/a/b/']);
+          expect(rateLimiter.tokenBuckets['prefix:bucket/a/b/'].tokens).to.equal(8);
+          done(listError || error);
+        });
+      });
+    });
+
+    it('aborts requests in progress when destroyed', function (done) {
+      var awsRequest = {
+        abort: sandbox.stub()
+      };
+
+      s3Client.headObject.returns(awsRequest);
+
+      s3ObjectOperationStream.request('headObject', {
+        Bucket: 'bucket',
+        Key: 'a'
+      }, function () {
+        done(new Error('Unexpected callback.'));
+      });
+
+      s3ObjectOperationStream.on('close', function () {
+        sinon.assert.calledOnce(awsRequest.abort);
+        done();
+      });
+      s3ObjectOperationStream.destroy();
+    });
+  });
+});
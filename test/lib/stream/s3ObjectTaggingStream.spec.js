@@ -0,0 +1,148 @@
+/**
+ * @fileOverview Tests for lib/stream/s3ObjectTaggingStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+
+// Local.
+var S3ObjectTaggingStream = require('../../../lib/stream/s3ObjectTaggingStream');
+
+describe('lib/stream/s3ObjectTaggingStream', function () {
+  var getObjectTaggingResponse;
+  var notFoundError;
+  var sandbox;
+  var s3Client;
+  var s3ObjectTaggingStream;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    getObjectTaggingResponse = {
+      TagSet: [
+        {
+          Key: 'team',
+          Value: 'storage'
+        },
+        {
+          Key: 'env',
+          Value: 'prod'
+        }
+      ]
+    };
+    notFoundError = new Error();
+    notFoundError.code = 'NoSuchKey';
+    notFoundError.statusCode = 404;
+
+    s3Client = new AWS.S3();
+    sandbox.stub(s3Client, 'getObjectTagging');
+    s3Client.getObjectTagging.yields(null, getObjectTaggingResponse);
+
+    s3ObjectTaggingStream = new S3ObjectTaggingStream({
+      s3Client: s3Client
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('throws on an invalid notFound option', function () {
+    expect(function () {
+      return new S3ObjectTaggingStream({
+        s3Client: s3Client,
+        notFound: 'fail'
+      });
+    }).to.throw(Error, 'Invalid options.notFound, expected skip or pass');
+  });
+
+  describe('processObject', function () {
+    it('adds the tags', function (done) {
+      s3ObjectTaggingStream.processObject({
+        Bucket: 'bucket',
+        Key: 'a',
+        VersionId: 'v1'
+      }, function (error, s3Object) {
+        sinon.assert.calledWith(s3Client.getObjectTagging, {
+          Bucket: 'bucket',
+          Key: 'a',
+          VersionId: 'v1'
+        });
+        expect(s3Object).to.eql({
+          Bucket: 'bucket',
+          Key: 'a',
+          VersionId: 'v1',
+          Tags: {
+            team: 'storage',
+            env: 'prod'
+          }
+        });
+        done(error);
+      });
+    });
+
+    it('passes delete markers through', function (done) {
+      var deleteMarker = {
+        Bucket: 'bucket',
+        Key: 'a',
+        VersionId: 'v1',
+        type: 'deleteMarker'
+      };
+
+      s3ObjectTaggingStream.processObject(deleteMarker, function (error, s3Object) {
+        sinon.assert.notCalled(s3Client.getObjectTagging);
+        expect(s3Object).to.equal(deleteMarker);
+        done(error);
+      });
+    });
+
+    it('skips objects that no longer exist', function (done) {
+      s3Client.getObjectTagging.yields(notFoundError);
+
+      s3ObjectTaggingStream.processObject({
+        Bucket: 'bucket',
+        Key: 'a'
+      }, function (error, s3Object) {
+        expect(s3Object).to.equal(undefined);
+        done(error);
+      });
+    });
+
+    it('yields other errors', function (done) {
+      var accessDeniedError = new Error();
+
+      accessDeniedError.code = 'AccessDenied';
+      s3Client.getObjectTagging.yields(accessDeniedError);
+
+      s3ObjectTaggingStream.processObject({
+        Bucket: 'bucket',
+        Key: 'a'
+      }, function (error) {
+        expect(error).to.equal(accessDeniedError);
+        done();
+      });
+    });
+  });
+
+  describe('streaming', function () {
+    it('emits the objects with tags', function (done) {
+      var keys = [];
+
+      s3Client.getObjectTagging.onCall(1).yields(notFoundError);
+
+      s3ObjectTaggingStream.on('data', function (s3Object) {
+        expect(s3Object.Tags.team).to.equal('storage');
+        keys.push(s3Object.Key);
+      });
+      s3ObjectTaggingStream.on('end', function () {
+        expect(keys.sort()).to.eql(['a', 'c']);
+        done();
+      });
+
+      s3ObjectTaggingStream.write({ Bucket: 'bucket', Key: 'a' });
+      s3ObjectTaggingStream.write({ Bucket: 'bucket', Key: 'b' });
+      s3ObjectTaggingStream.write({ Bucket: 'bucket', Key: 'c' });
+      s3ObjectTaggingStream.end();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * @fileOverview Tests for lib/stream/s3RestoreObjectStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+
+// Local.
+var S3RestoreObjectStream = require('../../../lib/stream/s3RestoreObjectStream');
+
+describe('lib/stream/s3RestoreObjectStream', function () {
+  var inProgressError;
+  var sandbox;
+  var s3Client;
+  var s3Object;
+  var s3RestoreObjectStream;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    inProgressError = new Error();
+    inProgressError.code = 'RestoreAlreadyInProgress';
+    inProgressError.statusCode = 409;
+
+    s3Object = {
+      Bucket: 'bucket',
+      Key: 'a/1',
+      StorageClass: 'GLACIER'
+    };
+
+    s3Client = new AWS.S3();
+    sandbox.stub(s3Client, 'restoreObject').yields(null, {});
+    sandbox.stub(s3Client, 'headObject');
+
+    s3RestoreObjectStream = new S3RestoreObjectStream({
+      s3Client: s3Client,
+      tier: 'Bulk',
+      days: 7
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('throws on invalid options', function () {
+    expect(function () {
+      return new S3RestoreObjectStream({
+        s3Client: s3Client,
+        tier: 'Slow'
+      });
+    }).to.throw(Error, 'Invalid options.tier, expected Expedited, Standard or Bulk');
+    expect(function () {
+      return new S3RestoreObjectStream({
+        s3Client: s3Client,
+        days: 0
+      });
+    }).to.throw(Error, 'Invalid options.days, expected a positive integer');
+  });
+
+  describe('parseRestoreHeader', function () {
+    it('parses the header', function () {
+      expect(S3RestoreObjectStream.parseRestoreHeader(
+        'ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"'
+      )).to.eql({
+        ongoing: false,
+        expiryDate: new Date('Fri, 21 Dec 2012 00:00:00 GMT')
+      });
+      expect(S3RestoreObjectStream.parseRestoreHeader(
+        'ongoing-request="true"'
+      )).to.eql({
+        ongoing: true,
+        expiryDate: undefined
+      });
+      expect(S3RestoreObjectStream.parseRestoreHeader()).to.equal(null);
+    });
+  });
+
+  describe('processObject', function () {
+    it('requests a restore', function (done) {
+      s3Object.VersionId = 'v1';
+
+      s3RestoreObjectStream.processObject(s3Object, function (error, result) {
+        sinon.assert.calledWith(s3Client.restoreObject, {
+          Bucket: 'bucket',
+          Key: 'a/1',
+          VersionId: 'v1',
+          RestoreRequest: {
+            Days: 7,
+            GlacierJobParameters: {
+              Tier: 'Bulk'
+            }
+          }
+        });
+        expect(result).to.eql({
+          status: 'requested',
+          Bucket: 'bucket',
+          Key: 'a/1',
+          VersionId: 'v1',
+          StorageClass: 'GLACIER',
+          tier: 'Bulk',
+          days: 7
+        });
+        done(error);
+      });
+    });
+
+    it('treats a restore in progress as success', function (done) {
+      s3Client.restoreObject.yields(inProgressError);
+
+      s3RestoreObjectStream.processObject(s3Object, function (error, result) {
+        expect(result.status).to.equal('inProgress');
+        done(error);
+      });
+    });
+
+    it('skips objects that are not archived', function (done) {
+      s3Object.StorageClass = 'STANDARD';
+
+      s3RestoreObjectStream.processObject(s3Object, function (error, result) {
+        sinon.assert.notCalled(s3Client.restoreObject);
+        expect(result.status).to.equal('skipped');
+        expect(result.reason).to.equal('notArchived');
+        done(error);
+      });
+    });
+  });
+
+  describe('polling', function () {
+    var clock;
+
+    beforeEach(function () {
+      clock = sandbox.useFakeTimers();
+
+      s3RestoreObjectStream = new S3RestoreObjectStream({
+        s3Client: s3Client,
+        poll: true,
+        pollInterval: 1000
+      });
+    });
+
+    it('emits restored events and ends once all objects are restored', function (done) {
+      var restored = [];
+      var ended = false;
+      var polled = {};
+
+      // The first object is restored at once, the second on the next check.
+      s3Client.headObject.restore();
+      sandbox.stub(s3Client, 'headObject', function (params, callback) {
+        polled[params.Key] = (polled[params.Key] || 0) + 1;
+
+        callback(null, {
+          Restore: params.Key === 'a/2' && polled[params.Key] === 1 ?
+            'ongoing-request="true"' :
+            'ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"'
+        });
+      });
+
+      s3RestoreObjectStream.on('restored', function (object) {
+        restored.push(object);
+      });
+
+      s3RestoreObjectStream.processObject(s3Object, function () {
+        s3RestoreObjectStream.processObject({
+          Bucket: 'bucket',
+          Key: 'a/2',
+          StorageClass: 'DEEP_ARCHIVE'
+        }, function () {
+          s3RestoreObjectStream.complete(function () {
+            ended = true;
+          });
+
+          clock.tick(1000);
+          expect(restored).to.eql([
+            {
+              Bucket: 'bucket',
+              Key: 'a/1',
+              expiryDate: new Date('Fri, 21 Dec 2012 00:00:00 GMT')
+            }
+          ]);
+          expect(ended).to.equal(false);
+
+          clock.tick(1000);
+          expect(restored.length).to.equal(2);
+          expect(restored[1].Key).to.equal('a/2');
+          expect(ended).to.equal(true);
+          sinon.assert.callCount(s3Client.headObject, 3);
+          done();
+        });
+      });
+    });
+
+    it('stops polling when destroyed', function () {
+      s3Client.headObject.yields(null, {
+        Restore: 'ongoing-request="true"'
+      });
+
+      s3RestoreObjectStream.watchRestore(s3Object);
+      clock.tick(1000);
+      sinon.assert.calledOnce(s3Client.headObject);
+
+      s3RestoreObjectStream.destroy();
+      clock.tick(5000);
+      sinon.assert.calledOnce(s3Client.headObject);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * @fileOverview Tests for lib/stream/s3StorageClassTransitionStream.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+
+// Local.
+var constants = require('../../../lib/constants');
+var S3StorageClassTransitionStream = require('../../../lib/stream/s3StorageClassTransitionStream');
+
+describe('lib/stream/s3StorageClassTransitionStream', function () {
+  var KB = 1024;
+  var GB = 1024 * 1024 * 1024;
+
+  var sandbox;
+  var s3Client;
+  var s3Object;
+  var transitionStream;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    s3Object = {
+      Bucket: 'bucket',
+      Key: 'a/1',
+      ETag: '"etag"',
+      Size: GB,
+      StorageClass: 'STANDARD'
+    };
+
+    s3Client = new AWS.S3();
+    sandbox.stub(s3Client, 'headObject').yields(null, {});
+    sandbox.stub(s3Client, 'copyObject').yields(null, {
+      CopyObjectResult: {
+        ETag: '"etag"'
+      }
+    });
+
+    transitionStream = new S3StorageClassTransitionStream({
+      s3Client: s3Client,
+      storageClass: 'STANDARD_IA',
+      predicate: function (object) {
+        return object.Key.indexOf('a/') === 0;
+      }
+    });
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('throws on an invalid storageClass option', function () {
+    expect(function () {
+      return new S3StorageClassTransitionStream({
+        s3Client: s3Client,
+        storageClass: 'UNKNOWN'
+      });
+    }).to.throw(Error, /^Invalid options.storageClass/);
+  });
+
+  describe('estimateMonthlyCost', function () {
+    var estimateMonthlyCost = S3StorageClassTransitionStream.estimateMonthlyCost;
+    var pricing = constants.storageClassPricing;
+
+    it('applies the minimum billable size', function () {
+      expect(estimateMonthlyCost(GB, 'STANDARD', pricing)).to.equal(0.023);
+      expect(estimateMonthlyCost(KB, 'STANDARD_IA', pricing)).to.equal(
+        estimateMonthlyCost(128 * KB, 'STANDARD_IA', pricing)
+      );
+    });
+
+    it('includes the overhead of archived objects', function () {
+      expect(estimateMonthlyCost(0, 'GLACIER', pricing)).to.equal(
+        (32 * KB * 0.0036 + 8 * KB * 0.023) / GB
+      );
+    });
+
+    it('returns null for an unknown storage class', function () {
+      expect(estimateMonthlyCost(GB, 'UNKNOWN', pricing)).to.equal(null);
+    });
+  });
+
+  describe('getSkipReason', function () {
+    it('determines whether to skip objects', function () {
+      expect(transitionStream.getSkipReason(s3Object)).to.equal(undefined);
+      expect(transitionStream.getSkipReason({ Key: 'b/1', Size: GB })).to.equal('predicate');
+      expect(transitionStream.getSkipReason({ Key: 'a/1', Size: KB })).to.equal('minimumSize');
+      expect(transitionStream.getSkipReason({
+        Key: 'a/1',
+        Size: GB,
+        StorageClass: 'STANDARD_IA'
+      })).to.equal('sameStorageClass');
+      // Whether an archived object is restored is not yet known.
+      expect(transitionStream.getSkipReason({
+        Key: 'a/1',
+        Size: GB,
+        StorageClass: 'GLACIER'
+      })).to.equal(undefined);
+      expect(transitionStream.getSkipReason({
+        Key: 'a/1',
+        Size: GB,
+        IsLatest: false
+      })).to.equal('notLatest');
+    });
+  });
+
+  describe('processObject', function () {
+    it('copies the object to itself with the new storage class', function (done) {
+      transitionStream.processObject(s3Object, function (error, result) {
+        sinon.assert.notCalled(s3Client.headObject);
+        sinon.assert.calledWith(s3Client.copyObject, {
+          Bucket: 'bucket',
+          Key: 'a/1',
+          CopySource: 'bucket/a%2F1',
+          MetadataDirective: 'COPY',
+          StorageClass: 'STANDARD_IA'
+        });
+        expect(result).to.eql({
+          status: 'transitioned',
+          Bucket: 'bucket',
+          Key: 'a/1',
+          Size: GB,
+          before: {
+            StorageClass: 'STANDARD',
+            monthlyCost: 0.023
+          },
+          after: {
+            StorageClass: 'STANDARD_IA',
+            monthlyCost: 0.0125
+          },
+          estimatedMonthlySaving: 0.023 - 0.0125
+        });
+        done(error);
+      });
+    });
+
+    it('transitions restored archived objects', function (done) {
+      s3Object.StorageClass = 'GLACIER';
+      s3Client.headObject.yields(null, {
+        Restore: 'ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"'
+      });
+
+      transitionStream.processObject(s3Object, function (error, result) {
+        sinon.assert.calledWith(s3Client.copyObject, sinon.match({
+          StorageClass: 'STANDARD_IA'
+        }));
+        expect(result.status).to.equal('transitioned');
+        expect(result.before.StorageClass).to.equal('GLACIER');
+        expect(result.after.StorageClass).to.equal('STANDARD_IA');
+        done(error);
+      });
+    });
+
+    it('skips archived objects that are not restored', function (done) {
+      s3Object.StorageClass = 'GLACIER';
+      s3Client.headObject.yields(null, {
+        Restore: 'ongoing-request="true"'
+      });
+
+      transitionStream.processObject(s3Object, function (error, result) {
+        sinon.assert.notCalled(s3Client.copyObject);
+        expect(result.status).to.equal('skipped');
+        expect(result.reason).to.equal('archived');
+        expect(result.estimatedMonthlySaving).to.equal(0);
+        done(error);
+      });
+    });
+
+    it('reports objects that fail to copy', function (done) {
+      var accessDeniedError = new Error('Access Denied');
+
+      accessDeniedError.code = 'AccessDenied';
+      accessDeniedError.statusCode = 403;
+      s3Client.copyObject.yields(accessDeniedError);
+
+      transitionStream.processObject(s3Object, function (error, result) {
+        expect(result.status).to.equal('failed');
+        expect(result.code).to.equal('AccessDenied');
+        expect(result.after).to.equal(result.before);
+        expect(result.estimatedMonthlySaving).to.equal(0);
+        done(error);
+      });
+    });
+
+    it('reports skipped objects', function (done) {
+      s3Object.Size = KB;
+
+      transitionStream.processObject(s3Object, function (error, result) {
+        sinon.assert.notCalled(s3Client.copyObject);
+        expect(result.status).to.equal('skipped');
+        expect(result.reason).to.equal('minimumSize');
+        expect(result.after).to.equal(result.before);
+        expect(result.estimatedMonthlySaving).to.equal(0);
+        done(error);
+      });
+    });
+  });
+});
@@ -2,6 +2,9 @@
  * @fileOverview Tests for lib/stream/s3UsageStream.
  */
 
+// NPM.
+var _ = require('lodash');
+
 // Local.
 var constants = require('../../../lib/constants');
 var S3UsageStream = require('../../../lib/stream/s3UsageStream');
@@ -331,6 +334,52 @@ describe('lib/stream/S3UsageStream', function () {
       });
 
     });
+
+    it('groups by tag value if configured to', function (done) {
+      s3UsageStream = new S3UsageStream({
+        tag: 'team',
+        outputFactor: 3
+      });
+      sandbox.stub(s3UsageStream, 'push');
+
+      s3Objects[0].Tags = { team: 'b' };
+      s3Objects[1].Tags = { team: 'a' };
+
+      s3UsageStream.updateTotals(s3Objects[0], function () {
+        s3UsageStream.updateTotals(s3Objects[1], function () {
+          s3UsageStream.updateTotals(s3Objects[0], function (error) {
+            var totals = s3UsageStream.push.getCall(0).args[0];
+
+            expect(totals.length).to.equal(2);
+            expect(totals[0].path).to.equal('bucket');
+            expect(totals[0].tag).to.equal('a');
+            expect(totals[0].storageClass.STANDARD.count).to.equal(1);
+            expect(totals[1].tag).to.equal('b');
+            expect(totals[1].storageClass.STANDARD.count).to.equal(2);
+            done(error);
+          });
+        });
+      });
+    });
+
+    it('groups objects without the tag under null', function (done) {
+      s3UsageStream = new S3UsageStream({
+        tag: 'team',
+        outputFactor: 2
+      });
+      sandbox.stub(s3UsageStream, 'push');
+
+      s3Objects[1].Tags = { team: 'a' };
+
+      s3UsageStream.updateTotals(s3Objects[1], function () {
+        s3UsageStream.updateTotals(s3Objects[0], function (error) {
+          var totals = s3UsageStream.push.getCall(0).args[0];
+
+          expect(_.map(totals, 'tag')).to.eql([null, 'a']);
+          done(error);
+        });
+      });
+    });
   });
 
   describe('streaming', function () {